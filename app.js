@@ -6,6 +6,31 @@
 // - Streifen für Zeilen, Value-Spalte fett; Interaktionen erhalten
 
 document.addEventListener("DOMContentLoaded", () => {
+  // --- Workspaces (team / season): all app data is stored per workspace ---
+  // "default" keeps the original un-prefixed keys, other workspaces use "ws:<id>:<key>"
+  function getWorkspaces() {
+    try {
+      const arr = JSON.parse(localStorage.getItem("workspaces"));
+      if (Array.isArray(arr) && arr.length) return arr;
+    } catch (e) {}
+    return [{ id: "default", name: "Standard" }];
+  }
+  function setWorkspaces(arr) { localStorage.setItem("workspaces", JSON.stringify(arr)); }
+  function getActiveWorkspaceId() {
+    const id = localStorage.getItem("activeWorkspace");
+    return getWorkspaces().some(w => w.id === id) ? id : "default";
+  }
+  function createWorkspaceStorage(id) {
+    const prefix = id === "default" ? "" : `ws:${id}:`;
+    return {
+      getItem: (key) => localStorage.getItem(prefix + key),
+      setItem: (key, value) => localStorage.setItem(prefix + key, value),
+      removeItem: (key) => localStorage.removeItem(prefix + key)
+    };
+  }
+  const storage = createWorkspaceStorage(getActiveWorkspaceId());
+  window.appStorage = storage;
+
   // --- Elements (buttons remain in DOM per page) ---
   const pages = {
     selection: document.getElementById("playerSelectionPage"),
@@ -13,14 +38,17 @@ document.addEventListener("DOMContentLoaded", () => {
     torbild: document.getElementById("torbildPage"),
     goalValue: document.getElementById("goalValuePage"),
     season: document.getElementById("seasonPage"),
-    seasonMap: document.getElementById("seasonMapPage")
+    seasonMap: document.getElementById("seasonMapPage"),
+    roster: document.getElementById("rosterPage"),
+    games: document.getElementById("gamesPage"),
+    events: document.getElementById("eventsPage")
   };
 
   function showPage(page) {
     try {
       Object.values(pages).forEach(p => { if (p) p.style.display = "none"; });
       if (pages[page]) pages[page].style.display = "block";
-      localStorage.setItem("currentPage", page);
+      storage.setItem("currentPage", page);
       let title = "Spielerstatistik";
       if (page === "selection") title = "Spielerauswahl";
       else if (page === "stats") title = "Statistiken";
@@ -28,6 +56,9 @@ document.addEventListener("DOMContentLoaded", () => {
       else if (page === "goalValue") title = "Goal Value";
       else if (page === "season") title = "Season";
       else if (page === "seasonMap") title = "Season Map";
+      else if (page === "roster") title = "Roster";
+      else if (page === "games") title = "Games";
+      else if (page === "events") title = "Play-by-Play";
       document.title = title;
     } catch (err) { console.warn("showPage failed:", err); }
   }
@@ -73,7 +104,8 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   // Data
-  const players = [
+  // Default roster: only used to seed the "roster" storage key on first start
+  const defaultRoster = [
     { num: 4, name: "Ondrej Kastner" }, { num: 5, name: "Raphael Oehninger" },
     { num: 6, name: "Nuno Meier" }, { num: 7, name: "Silas Teuber" },
     { num: 8, name: "Diego Warth" }, { num: 9, name: "Mattia Crameri" },
@@ -90,19 +122,71 @@ document.addEventListener("DOMContentLoaded", () => {
     { num: "", name: "Marco Senn" }
   ];
 
+  // --- Roster (persistent, editable on the roster page) ---
+  const rosterPositions = ["", "F", "D", "G"];
+  const rosterHands = ["", "L", "R"];
+
+  function getRoster() {
+    try {
+      const raw = storage.getItem("roster");
+      if (raw) {
+        const arr = JSON.parse(raw);
+        if (Array.isArray(arr)) return arr;
+      }
+    } catch (e) {}
+    return defaultRoster.map(p => ({ num: p.num, name: p.name, position: "", hand: "", archived: false }));
+  }
+  function setRoster(arr) { storage.setItem("roster", JSON.stringify(arr)); }
+
+  function findRosterPlayer(name) {
+    return getRoster().find(p => p.name === name) || null;
+  }
+
+  // active (non-archived) roster players; replaces the former hardcoded list
+  let players = getRoster().filter(p => !p.archived);
+
   const categories = ["Shot", "Goals", "Assist", "+/-", "FaceOffs", "FaceOffs Won", "Penaltys"];
+  // goalies (roster position "G") get their own table; these counters are kept in statsData as well
+  const goalieCategories = ["Saves", "Goals Against"];
 
   // persistent state
-  let selectedPlayers = JSON.parse(localStorage.getItem("selectedPlayers")) || [];
-  let statsData = JSON.parse(localStorage.getItem("statsData")) || {};
-  let playerTimes = JSON.parse(localStorage.getItem("playerTimes")) || {};
-  let activeTimers = {}; // playerName -> intervalId
-  let timerSeconds = Number(localStorage.getItem("timerSeconds")) || 0;
+  let selectedPlayers = JSON.parse(storage.getItem("selectedPlayers")) || [];
+  let statsData = JSON.parse(storage.getItem("statsData")) || {};
+  let playerTimes = JSON.parse(storage.getItem("playerTimes")) || {};
+  // timeline of every stat tap of the current game (see recordGameEvent)
+  let gameEvents = JSON.parse(storage.getItem("gameEvents")) || [];
+  // running ice timers: playerName -> wall clock time (ms) of the last counted second
+  // (persisted, so a reload or a locked phone does not lose ice time)
+  let iceTimers = JSON.parse(storage.getItem("iceTimers")) || {};
+  let iceTimerInterval = null;
+  // shifts per player of the current game (a shift starts whenever the ice timer starts)
+  let playerShifts = JSON.parse(storage.getItem("playerShifts")) || {};
+  // skaters on the ice per team; decides whether a goal counts for +/-
+  let strengthState = JSON.parse(storage.getItem("strengthState")) || { own: 5, opp: 5 };
+  // a 6th skater used to be a strength option; it is the pulled-goalie flag now
+  if (strengthState.own > 5) strengthState = Object.assign({}, strengthState, { own: 5, ownGoalieOut: true });
+  if (strengthState.opp > 5) strengthState = Object.assign({}, strengthState, { opp: 5, oppGoalieOut: true });
+  // penalties of the current game; active ones set strengthState (see refreshStrengthFromPenalties)
+  let penalties = JSON.parse(storage.getItem("penalties")) || [];
+  // opponent shots / goals of the current game per period number (OT = periods + 1)
+  let opponentStats = JSON.parse(storage.getItem("opponentStats")) || { shots: {}, goals: {} };
+  let timerSeconds = Number(storage.getItem("timerSeconds")) || 0;
   let timerInterval = null;
   let timerRunning = false;
 
   // season aggregated data (persistent)
-  let seasonData = JSON.parse(localStorage.getItem("seasonData")) || {}; // keyed by player name
+  let seasonData = JSON.parse(storage.getItem("seasonData")) || {}; // keyed by player name
+
+  // per-game season records; seasonData is derived from seasonBase + seasonGames
+  let seasonGames = JSON.parse(storage.getItem("seasonGames")) || null;
+  let seasonBase = JSON.parse(storage.getItem("seasonBase")) || {}; // totals without game record (older exports, CSV imports)
+  if (!Array.isArray(seasonGames)) {
+    // migration: totals accumulated before game records existed stay as base
+    seasonGames = [];
+    seasonBase = JSON.parse(JSON.stringify(seasonData));
+    storage.setItem("seasonGames", JSON.stringify(seasonGames));
+    storage.setItem("seasonBase", JSON.stringify(seasonBase));
+  }
 
   // --- Render player selection ---
   function renderPlayerSelection() {
@@ -190,13 +274,13 @@ document.addEventListener("DOMContentLoaded", () => {
           }
         });
 
-        localStorage.setItem("selectedPlayers", JSON.stringify(selectedPlayers));
+        storage.setItem("selectedPlayers", JSON.stringify(selectedPlayers));
 
         selectedPlayers.forEach(p => {
           if (!statsData[p.name]) statsData[p.name] = {};
           categories.forEach(c => { if (statsData[p.name][c] === undefined) statsData[p.name][c] = 0; });
         });
-        localStorage.setItem("statsData", JSON.stringify(statsData));
+        storage.setItem("statsData", JSON.stringify(statsData));
 
         showPage("stats");
         renderStatsTable();
@@ -209,16 +293,262 @@ document.addEventListener("DOMContentLoaded", () => {
 
   window.__renderPlayerSelection = renderPlayerSelection;
 
+  // --- Roster page (add / edit / archive / renumber) ---
+  function refreshPlayersFromRoster() {
+    players = getRoster().filter(p => !p.archived);
+  }
+
+  // carry a name change over to all data keyed by player name
+  function renamePlayerEverywhere(oldName, newName) {
+    if (!oldName || !newName || oldName === newName) return;
+    if (statsData[oldName]) { statsData[newName] = statsData[oldName]; delete statsData[oldName]; }
+    if (typeof playerTimes[oldName] !== "undefined") { playerTimes[newName] = playerTimes[oldName]; delete playerTimes[oldName]; }
+    if (typeof playerShifts[oldName] !== "undefined") { playerShifts[newName] = playerShifts[oldName]; delete playerShifts[oldName]; }
+    if (iceTimers[oldName]) { iceTimers[newName] = iceTimers[oldName]; delete iceTimers[oldName]; }
+    if (seasonBase[oldName]) {
+      seasonBase[newName] = seasonBase[oldName];
+      seasonBase[newName].name = newName;
+      delete seasonBase[oldName];
+    }
+    // events carry the player and the players whose +/- they changed
+    const renameEvent = (e) => {
+      if (e.player === oldName) e.player = newName;
+      (e.plusMinus || []).forEach(c => { if (c.player === oldName) c.player = newName; });
+    };
+    gameEvents.forEach(renameEvent);
+    seasonGames.forEach(g => {
+      if (g.players && g.players[oldName]) { g.players[newName] = g.players[oldName]; delete g.players[oldName]; }
+      (g.events || []).forEach(renameEvent);
+    });
+    penalties.forEach(p => { if (p.team === "own" && p.player === oldName) p.player = newName; });
+    // line slots hold names; keep the player in their line
+    const lines = getLines();
+    Object.keys(LINE_SLOTS).forEach(type => {
+      lines[type] = lines[type].map(line => line.map(name => name === oldName ? newName : name));
+    });
+    setLines(lines);
+    selectedPlayers.forEach(sp => { if (sp.name === oldName) sp.name = newName; });
+    const gv = getGoalValueData();
+    if (gv[oldName]) { gv[newName] = gv[oldName]; delete gv[oldName]; setGoalValueData(gv); }
+    // marker tags: Season Map games, the Goal Map and the tag defaults
+    const renameMarker = (m) => {
+      if (m.player === oldName) m.player = newName;
+      if (m.goalie === oldName) m.goalie = newName;
+    };
+    const mapGames = getSeasonMapGames();
+    mapGames.forEach(g => (g.markers || []).forEach(box => { if (Array.isArray(box)) box.forEach(renameMarker); }));
+    setSeasonMapGames(mapGames);
+    document.querySelectorAll("#torbildPage .marker-dot").forEach(dot => {
+      const meta = readMarkerMeta(dot);
+      if (meta.player !== oldName && meta.goalie !== oldName) return;
+      renameMarker(meta);
+      applyMarkerMeta(dot, meta);
+    });
+    saveGoalMapMarkers();
+    renameMarker(lastMarkerTag);
+    storage.setItem("statsData", JSON.stringify(statsData));
+    storage.setItem("playerTimes", JSON.stringify(playerTimes));
+    storage.setItem("playerShifts", JSON.stringify(playerShifts));
+    storage.setItem("seasonBase", JSON.stringify(seasonBase));
+    storage.setItem("selectedPlayers", JSON.stringify(selectedPlayers));
+    saveIceTimers();
+    saveGameEvents();
+    savePenalties();
+    saveSeasonGames();
+    recomputeSeasonData();
+  }
+
+  function renumberPlayerEverywhere(name, num) {
+    selectedPlayers.forEach(sp => { if (sp.name === name) sp.num = num; });
+    if (seasonBase[name]) seasonBase[name].num = num;
+    seasonGames.forEach(g => { if (g.players && g.players[name]) g.players[name].num = num; });
+    saveSeasonGames();
+    storage.setItem("selectedPlayers", JSON.stringify(selectedPlayers));
+    storage.setItem("seasonBase", JSON.stringify(seasonBase));
+    recomputeSeasonData();
+  }
+
+  // active roster player (other than index exceptIdx) that already wears this number
+  function findNumberClash(arr, num, exceptIdx = -1) {
+    if (!num) return null;
+    return arr.find((o, i) => i !== exceptIdx && !o.archived && String(o.num) === String(num)) || null;
+  }
+
+  let rosterShowArchived = false;
+
+  function renderRosterPage() {
+    const container = document.getElementById("rosterContainer");
+    if (!container) return;
+    container.innerHTML = "";
+
+    const roster = getRoster();
+    const table = document.createElement("table");
+    table.className = "stats-table roster-table";
+    table.style.borderRadius = "8px";
+    table.style.overflow = "hidden";
+    table.style.borderCollapse = "separate";
+    table.style.borderSpacing = "0";
+
+    const thead = document.createElement("thead");
+    const headerRow = document.createElement("tr");
+    ["Nr", "Spieler", "Position", "Schusshand", ""].forEach(h => {
+      const th = document.createElement("th");
+      th.textContent = h;
+      headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement("tbody");
+    roster
+      .map((p, idx) => ({ p, idx }))
+      .filter(({ p }) => rosterShowArchived || !p.archived)
+      .sort((a, b) => (Number(a.p.num) || 999) - (Number(b.p.num) || 999))
+      .forEach(({ p, idx }, rowIndex) => {
+        const tr = document.createElement("tr");
+        tr.classList.add(rowIndex % 2 === 0 ? "even-row" : "odd-row");
+        if (p.archived) tr.classList.add("archived-row");
+
+        const numTd = document.createElement("td");
+        const numInput = document.createElement("input");
+        numInput.type = "text";
+        numInput.inputMode = "numeric";
+        numInput.maxLength = 3;
+        numInput.placeholder = "Nr.";
+        numInput.className = "roster-input roster-num";
+        numInput.value = p.num ?? "";
+        numInput.addEventListener("change", () => {
+          const num = numInput.value.trim();
+          const arr = getRoster();
+          const clash = findNumberClash(arr, num, idx);
+          if (clash) {
+            alert(`Nummer ${num} ist bereits an ${clash.name} vergeben.`);
+            numInput.value = arr[idx].num ?? "";
+            return;
+          }
+          arr[idx].num = num;
+          setRoster(arr);
+          renumberPlayerEverywhere(arr[idx].name, num);
+          refreshPlayersFromRoster();
+          renderRosterPage();
+        });
+        numTd.appendChild(numInput);
+        tr.appendChild(numTd);
+
+        const nameTd = document.createElement("td");
+        nameTd.style.textAlign = "left";
+        const nameInput = document.createElement("input");
+        nameInput.type = "text";
+        nameInput.className = "roster-input roster-name";
+        nameInput.value = p.name || "";
+        nameInput.addEventListener("change", () => {
+          const newName = nameInput.value.trim();
+          const arr = getRoster();
+          const oldName = arr[idx].name;
+          if (!newName) { nameInput.value = oldName; return; }
+          if (arr.some((o, i) => i !== idx && o.name === newName)) {
+            alert(`Spieler "${newName}" existiert bereits.`);
+            nameInput.value = oldName;
+            return;
+          }
+          arr[idx].name = newName;
+          setRoster(arr);
+          renamePlayerEverywhere(oldName, newName);
+          refreshPlayersFromRoster();
+        });
+        nameTd.appendChild(nameInput);
+        tr.appendChild(nameTd);
+
+        function createRosterSelect(options, value, field) {
+          const td = document.createElement("td");
+          const sel = document.createElement("select");
+          sel.className = "roster-input";
+          options.forEach(opt => {
+            const o = document.createElement("option");
+            o.value = opt;
+            o.textContent = opt || "–";
+            sel.appendChild(o);
+          });
+          sel.value = value || "";
+          sel.addEventListener("change", () => {
+            const arr = getRoster();
+            arr[idx][field] = sel.value;
+            setRoster(arr);
+            refreshPlayersFromRoster();
+          });
+          td.appendChild(sel);
+          return td;
+        }
+        tr.appendChild(createRosterSelect(rosterPositions, p.position, "position"));
+        tr.appendChild(createRosterSelect(rosterHands, p.hand, "hand"));
+
+        const actionTd = document.createElement("td");
+        const archiveBtn = document.createElement("button");
+        archiveBtn.type = "button";
+        archiveBtn.className = "top-btn";
+        archiveBtn.textContent = p.archived ? "Reaktivieren" : "Archivieren";
+        archiveBtn.addEventListener("click", () => {
+          const arr = getRoster();
+          arr[idx].archived = !arr[idx].archived;
+          setRoster(arr);
+          refreshPlayersFromRoster();
+          renderRosterPage();
+        });
+        actionTd.appendChild(archiveBtn);
+        tr.appendChild(actionTd);
+
+        tbody.appendChild(tr);
+      });
+
+    table.appendChild(tbody);
+    container.appendChild(table);
+  }
+
+  function addRosterPlayer() {
+    const name = (prompt("Name des neuen Spielers:") || "").trim();
+    if (!name) return;
+    const arr = getRoster();
+    if (arr.some(p => p.name === name)) {
+      alert(`Spieler "${name}" existiert bereits.`);
+      return;
+    }
+    const num = (prompt("Nummer (optional):") || "").trim();
+    const clash = findNumberClash(arr, num);
+    if (clash) {
+      alert(`Nummer ${num} ist bereits an ${clash.name} vergeben.`);
+      return;
+    }
+    arr.push({ num, name, position: "", hand: "", archived: false });
+    setRoster(arr);
+    refreshPlayersFromRoster();
+    renderRosterPage();
+  }
+
+  document.getElementById("rosterBtn")?.addEventListener("click", () => {
+    showPage("roster");
+    renderRosterPage();
+  });
+  document.getElementById("backToSelectionFromRosterBtn")?.addEventListener("click", () => {
+    renderPlayerSelection();
+    showPage("selection");
+  });
+  document.getElementById("addRosterPlayerBtn")?.addEventListener("click", addRosterPlayer);
+  document.getElementById("toggleArchivedRosterBtn")?.addEventListener("click", (ev) => {
+    rosterShowArchived = !rosterShowArchived;
+    ev.currentTarget.textContent = rosterShowArchived ? "Archivierte ausblenden" : "Archivierte anzeigen";
+    renderRosterPage();
+  });
+
   // --- Eiszeitfarben dynamisch setzen ---
   function updateIceTimeColors() {
-    const iceTimes = selectedPlayers.map(p => ({ name: p.name, seconds: playerTimes[p.name] || 0 }));
+    const iceTimes = selectedPlayers.filter(p => !isGoaliePlayer(p.name)).map(p => ({ name: p.name, seconds: playerTimes[p.name] || 0 }));
     const sortedDesc = iceTimes.slice().sort((a,b) => b.seconds - a.seconds);
     const top5 = new Set(sortedDesc.slice(0,5).map(x => x.name));
     const sortedAsc = iceTimes.slice().sort((a,b) => a.seconds - b.seconds);
     const bottom5 = new Set(sortedAsc.slice(0,5).map(x => x.name));
 
     if (!statsContainer) return;
-    statsContainer.querySelectorAll(".ice-time-cell").forEach(cell => {
+    statsContainer.querySelectorAll(".ice-time-cell:not(.goalie-time-cell)").forEach(cell => {
       const player = cell.dataset.player;
       if (top5.has(player)) cell.style.color = getComputedStyle(document.documentElement).getPropertyValue('--ice-top')?.trim() || "#00c06f";
       else if (bottom5.has(player)) cell.style.color = getComputedStyle(document.documentElement).getPropertyValue('--ice-bottom')?.trim() || "#ff4c4c";
@@ -234,6 +564,62 @@ document.addEventListener("DOMContentLoaded", () => {
     } catch (e) { return ""; }
   }
 
+  // --- small helper: modal dialog (used for forms instead of chained prompts) ---
+  function openModal({ title = "", content = null, buttons = [], className = "" } = {}) {
+    const backdrop = document.createElement("div");
+    backdrop.className = "modal-backdrop";
+    const box = document.createElement("div");
+    box.className = ("modal-box " + className).trim();
+    if (title) {
+      const h = document.createElement("h2");
+      h.className = "modal-title";
+      h.textContent = title;
+      box.appendChild(h);
+    }
+    if (content) box.appendChild(content);
+    const actions = document.createElement("div");
+    actions.className = "modal-actions";
+    const close = () => backdrop.remove();
+    buttons.forEach(b => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "top-btn " + (b.className || "");
+      btn.textContent = b.label;
+      btn.addEventListener("click", () => {
+        // onClick may return false to keep the dialog open (e.g. validation)
+        const res = b.onClick ? b.onClick() : undefined;
+        if (res !== false) close();
+      });
+      actions.appendChild(btn);
+    });
+    box.appendChild(actions);
+    backdrop.appendChild(box);
+    document.body.appendChild(backdrop);
+    return close;
+  }
+
+  function createFormField(label, inputEl) {
+    const wrap = document.createElement("label");
+    wrap.className = "form-field";
+    const span = document.createElement("span");
+    span.textContent = label;
+    wrap.appendChild(span);
+    wrap.appendChild(inputEl);
+    return wrap;
+  }
+
+  function createSelect(options, value) {
+    const sel = document.createElement("select");
+    options.forEach(opt => {
+      const o = document.createElement("option");
+      o.value = typeof opt === "object" ? opt.value : opt;
+      o.textContent = typeof opt === "object" ? opt.label : opt;
+      sel.appendChild(o);
+    });
+    if (typeof value !== "undefined") sel.value = String(value);
+    return sel;
+  }
+
   // --- Create Import CSV buttons and apply explicit colors per previous requests ---
   (function setupButtonsAndImports() {
     const colorExportCSV = "#46798e";
@@ -290,7 +676,7 @@ document.addEventListener("DOMContentLoaded", () => {
 
     if (exportBtn && resetBtn) {
       const importStatsBtn = createImportButton("importCsvStatsBtn", "Import CSV", exportBtn, resetBtn, null);
-      importStatsBtn.title = "Importiere CSV (gleiches Format wie Export)";
+      importStatsBtn.title = "Importiere CSV (Vorschau mit Spaltenzuordnung)";
       importStatsBtn.addEventListener("click", () => {
         csvFileInput.dataset.target = "stats";
         csvFileInput.click();
@@ -299,7 +685,7 @@ document.addEventListener("DOMContentLoaded", () => {
 
     if (exportSeasonBtn) {
       const importSeasonBtn = createImportButton("importCsvSeasonBtn", "Import CSV", exportSeasonBtn, null, exportSeasonBtn);
-      importSeasonBtn.title = "Importiere Season CSV (Werte werden zu vorhandenen addiert; games bleiben unverändert)";
+      importSeasonBtn.title = "Importiere Season CSV (Wiederherstellen oder Zusammenführen, mit Vorschau)";
       importSeasonBtn.addEventListener("click", () => {
         csvFileInput.dataset.target = "season";
         csvFileInput.click();
@@ -307,12 +693,83 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   })();
 
-  // CSV parsing helpers
-  function splitCsvLines(text) {
-    return text.split(/\r?\n/).map(r => r.trim()).filter(r => r.length > 0);
+  // CSV helpers (RFC 4180): quoted fields, "" escapes, line breaks inside quotes.
+  // Imports accept ";", "," or tab; exports write ";" with a UTF-8 BOM for Excel.
+  const CSV_BOM = "\uFEFF";
+
+  // delimiter that occurs most often in the first record (outside of quotes)
+  function detectCsvDelimiter(text) {
+    const counts = { ";": 0, ",": 0, "\t": 0 };
+    let inQuotes = false;
+    for (const ch of text) {
+      if (ch === '"') inQuotes = !inQuotes;
+      else if (!inQuotes && (ch === "\n" || ch === "\r")) break;
+      else if (!inQuotes && ch in counts) counts[ch]++;
+    }
+    return Object.keys(counts).reduce((best, d) => counts[d] > counts[best] ? d : best, ";");
+  }
+
+  // text -> array of rows (arrays of strings); unquoted fields are trimmed, empty rows dropped
+  function parseCsv(text, delimiter = detectCsvDelimiter(text)) {
+    const src = String(text || "").replace(/^\uFEFF/, "");
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    let inQuotes = false;
+    const endField = () => {
+      row.push(quoted ? field : field.trim());
+      field = "";
+      quoted = false;
+    };
+    const endRow = () => {
+      endField();
+      if (row.some(v => v !== "")) rows.push(row);
+      row = [];
+    };
+    for (let i = 0; i < src.length; i++) {
+      const ch = src[i];
+      if (inQuotes) {
+        if (ch === '"') {
+          if (src[i + 1] === '"') { field += '"'; i++; }
+          else inQuotes = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"' && field.trim() === "") {
+        field = "";
+        quoted = true;
+        inQuotes = true;
+      } else if (ch === delimiter) {
+        endField();
+      } else if (ch === "\r" || ch === "\n") {
+        if (ch === "\r" && src[i + 1] === "\n") i++;
+        endRow();
+      } else {
+        field += ch;
+      }
+    }
+    if (field !== "" || quoted || row.length) endRow();
+    return rows;
+  }
+
+  function csvEscape(value, delimiter = ";") {
+    const s = value == null ? "" : String(value);
+    // quote when needed; leading/trailing spaces would be trimmed on import otherwise
+    return (s.includes(delimiter) || /["\r\n]|^\s|\s$/.test(s)) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  function toCsv(rows, delimiter = ";") {
+    return rows.map(r => r.map(v => csvEscape(v, delimiter)).join(delimiter)).join("\r\n");
   }
-  function parseCsvLine(line) {
-    return line.split(";").map(s => s.trim());
+
+  function downloadCsv(rows, filename) {
+    const blob = new Blob([CSV_BOM + toCsv(rows)], { type: "text/csv;charset=utf-8" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(a.href);
   }
 
   function parseTimeToSeconds(str) {
@@ -326,137 +783,379 @@ document.addEventListener("DOMContentLoaded", () => {
     return Number(str) || 0;
   }
 
-  // Import: Stats CSV (expects export format: ["Nr","Spieler", ...categories, "Time"])
-  function importStatsCSVFromText(txt) {
-    try {
-      const lines = splitCsvLines(txt);
-      if (lines.length === 0) { alert("Leere CSV"); return; }
-      const header = parseCsvLine(lines[0]);
-      const nameIdx = header.findIndex(h => /spieler/i.test(h) || h.toLowerCase() === "spieler");
-      const timeIdx = header.findIndex(h => /time/i.test(h) || /zeit/i.test(h));
-      const categoryIdxMap = {};
-      categories.forEach(cat => {
-        const idx = header.findIndex(h => h.toLowerCase() === cat.toLowerCase());
-        if (idx !== -1) categoryIdxMap[cat] = idx;
+  // --- CSV import wizard: column mapping, preview and per-player action before anything is written ---
+  // "match" lists header names (lower case) that are mapped automatically
+  function statsImportFields() {
+    return [
+      { key: "name", label: "Spieler", match: ["spieler", "player", "name"] },
+      ...categories.map(cat => ({ key: cat, label: cat, match: [cat.toLowerCase()] })),
+      { key: "time", label: "Time", match: ["time", "zeit", "toi", "eiszeit"], time: true }
+    ];
+  }
+
+  const seasonImportFields = [
+    { key: "name", label: "Spieler", match: ["spieler", "player", "name"] },
+    { key: "num", label: "Nr", match: ["nr", "nr.", "#", "no", "number"] },
+    { key: "games", label: "Games", match: ["games", "gp", "spiele"] },
+    { key: "goals", label: "Goals", match: ["goals", "tore"] },
+    { key: "assists", label: "Assists", match: ["assists", "assist"] },
+    { key: "plusMinus", label: "+/-", match: ["+/-", "plusminus", "plus-minus", "plus/minus"] },
+    { key: "shots", label: "Shots", match: ["shots", "shot", "schüsse"] },
+    { key: "penaltys", label: "Penalty", match: ["penalty", "penaltys", "pim", "strafen"] },
+    { key: "faceOffs", label: "FaceOffs", match: ["faceoffs", "face offs", "bullies"] },
+    { key: "faceOffsWon", label: "FaceOffs Won", match: ["faceoffs won", "faceoffswon", "bullies gewonnen"] },
+    { key: "goalValue", label: "Goal Value", match: ["goal value", "goalvalue", "gv"] },
+    { key: "timeSeconds", label: "Time", match: ["time", "zeit", "toi", "eiszeit"], time: true },
+    { key: "shifts", label: "Shifts", match: ["shifts"] },
+    { key: "ppPoints", label: "PP Pts", match: ["pp pts", "pp points"] },
+    { key: "shPoints", label: "SH Pts", match: ["sh pts", "sh points"] },
+    { key: "goalieGames", label: "G Games", match: ["g games", "goalie games"] },
+    { key: "shotsAgainst", label: "Shots Against", match: ["shots against", "sa"] },
+    { key: "saves", label: "Saves", match: ["saves", "sv"] },
+    { key: "goalsAgainst", label: "Goals Against", match: ["goals against", "ga"] },
+    { key: "shutouts", label: "Shutouts", match: ["shutouts", "so"] }
+  ];
+
+  // every column is used for at most one field; -1 = not imported
+  function detectImportMapping(header, fields) {
+    const mapping = {};
+    const used = new Set();
+    fields.forEach(f => {
+      const idx = header.findIndex((h, i) => !used.has(i) && f.match.includes(String(h).trim().toLowerCase()));
+      mapping[f.key] = idx;
+      if (idx !== -1) used.add(idx);
+    });
+    return mapping;
+  }
+
+  // numbers accept a decimal comma, times "MM:SS", "H:MM:SS" or plain seconds
+  function parseImportValue(field, raw) {
+    const s = String(raw == null ? "" : raw).trim();
+    if (field.key === "name" || field.key === "num") return { value: s, valid: true };
+    if (s === "") return { value: 0, valid: true };
+    if (field.time && /^\d+(:\d{1,2}){1,2}$/.test(s)) {
+      return { value: s.split(":").reduce((acc, part) => acc * 60 + Number(part), 0), valid: true };
+    }
+    const n = Number(s.replace(",", "."));
+    return isNaN(n) ? { value: 0, valid: false } : { value: n, valid: true };
+  }
+
+  const importActionOptions = [
+    { value: "replace", label: "Ersetzen" },
+    { value: "add", label: "Addieren" },
+    { value: "skip", label: "Überspringen" }
+  ];
+
+  // opts: { title, rows (incl. header), fields, modes?, isSummaryRow(name), hasExisting(name),
+  //         defaultAction(name, known, mode), actionHints?: { replace, add, skip }, confirmApply?(mode),
+  //         onApply(entries, mapping, mode) }
+  function openImportWizard(opts) {
+    const header = opts.rows[0] || [];
+    const dataRows = opts.rows.slice(1);
+    const mapping = detectImportMapping(header, opts.fields);
+    let actions = {};
+    let mode = opts.modes ? opts.modes[0].value : "";
+
+    const content = document.createElement("div");
+    content.className = "import-wizard";
+
+    if (opts.modes) {
+      const modeForm = document.createElement("div");
+      modeForm.className = "modal-form import-mapping";
+      const modeSelect = createSelect(opts.modes, mode);
+      modeSelect.addEventListener("change", () => {
+        mode = modeSelect.value;
+        // per-player actions start over with the defaults of the new mode
+        actions = {};
+        renderPreview();
       });
-      for (let i = 1; i < lines.length; i++) {
-        const cols = parseCsvLine(lines[i]);
-        const name = cols[nameIdx] || "";
-        if (!name) continue;
-        if (!statsData[name]) statsData[name] = {};
-        Object.keys(categoryIdxMap).forEach(cat => {
-          const v = Number(cols[categoryIdxMap[cat]] || 0) || 0;
-          statsData[name][cat] = v;
+      modeForm.appendChild(createFormField("Modus", modeSelect));
+      content.appendChild(modeForm);
+    }
+
+    // column mapping (editable)
+    const mappingForm = document.createElement("div");
+    mappingForm.className = "modal-form import-mapping";
+    const columnOptions = [{ value: "-1", label: "– nicht importieren –" }, ...header.map((h, i) => ({ value: String(i), label: h || `Spalte ${i + 1}` }))];
+    opts.fields.forEach(f => {
+      const sel = createSelect(columnOptions, String(mapping[f.key]));
+      sel.addEventListener("change", () => {
+        mapping[f.key] = Number(sel.value);
+        renderPreview();
+      });
+      mappingForm.appendChild(createFormField(f.label, sel));
+    });
+    content.appendChild(mappingForm);
+
+    const bulkSelect = createSelect([{ value: "", label: "Aktion für alle…" }, ...importActionOptions], "");
+    bulkSelect.addEventListener("change", () => {
+      if (!bulkSelect.value) return;
+      Object.keys(actions).forEach(name => { actions[name] = bulkSelect.value; });
+      bulkSelect.value = "";
+      renderPreview();
+    });
+    content.appendChild(createFormField("Alle Spieler", bulkSelect));
+
+    const summary = document.createElement("p");
+    summary.className = "import-summary";
+    content.appendChild(summary);
+    // what each action does to the existing data, so the preview matches the result
+    if (opts.actionHints) {
+      const legend = document.createElement("p");
+      legend.className = "import-summary";
+      legend.textContent = importActionOptions.map(o => `${o.label}: ${opts.actionHints[o.value]}`).join(" · ");
+      content.appendChild(legend);
+    }
+    const previewWrap = document.createElement("div");
+    previewWrap.className = "import-preview";
+    content.appendChild(previewWrap);
+
+    function collectEntries() {
+      const nameIdx = mapping.name;
+      if (nameIdx === -1) return [];
+      const seen = {};
+      return dataRows
+        .map(cols => ({ cols, name: String(cols[nameIdx] || "").trim() }))
+        .filter(r => r.name && !(opts.isSummaryRow && opts.isSummaryRow(r.name)))
+        .map(r => {
+          const values = {};
+          const invalid = [];
+          opts.fields.forEach(f => {
+            if (f.key === "name" || mapping[f.key] === -1) return;
+            const parsed = parseImportValue(f, r.cols[mapping[f.key]]);
+            values[f.key] = parsed.value;
+            if (!parsed.valid) invalid.push(f.key);
+          });
+          const known = !!findRosterPlayer(r.name);
+          if (!(r.name in actions)) actions[r.name] = opts.defaultAction(r.name, known, mode);
+          seen[r.name] = (seen[r.name] || 0) + 1;
+          return { name: r.name, values, invalid, known, existing: opts.hasExisting(r.name), duplicate: seen[r.name] > 1 };
         });
-        if (timeIdx !== -1) {
-          const t = parseTimeToSeconds(cols[timeIdx]);
-          playerTimes[name] = t;
-        }
+    }
+
+    function renderPreview() {
+      previewWrap.innerHTML = "";
+      const entries = collectEntries();
+      if (mapping.name === -1) {
+        summary.textContent = "Bitte die Spalte mit den Spielernamen zuordnen.";
+        return;
       }
-      localStorage.setItem("statsData", JSON.stringify(statsData));
-      localStorage.setItem("playerTimes", JSON.stringify(playerTimes));
-      renderStatsTable();
-      alert("Stats-CSV importiert.");
-    } catch (e) {
-      console.error("Import Stats CSV failed:", e);
-      alert("Fehler beim Importieren (siehe Konsole).");
+      const unknown = entries.filter(e => !e.known).length;
+      const conflicts = entries.filter(e => e.existing).length;
+      const counts = { replace: 0, add: 0, skip: 0 };
+      entries.forEach(e => { counts[actions[e.name]]++; });
+      summary.textContent = `${entries.length} Zeilen · ${conflicts} mit vorhandenen Daten · ${unknown} nicht im Roster · ` +
+        `${counts.replace} ersetzen, ${counts.add} addieren, ${counts.skip} überspringen`;
+
+      const shownFields = opts.fields.filter(f => f.key !== "name" && mapping[f.key] !== -1);
+      const table = createStyledTable();
+      const thead = document.createElement("thead");
+      const headRow = document.createElement("tr");
+      ["Aktion", "Spieler", "Status", ...shownFields.map(f => f.label)].forEach(h => {
+        const th = document.createElement("th");
+        th.textContent = h;
+        headRow.appendChild(th);
+      });
+      applyHeaderStyle(headRow.children);
+      thead.appendChild(headRow);
+      table.appendChild(thead);
+
+      const tbody = document.createElement("tbody");
+      entries.forEach((e, idx) => {
+        const tr = document.createElement("tr");
+        tr.classList.add(idx % 2 === 0 ? "even-row" : "odd-row");
+        if (actions[e.name] === "skip") tr.classList.add("import-skipped");
+        const actionTd = document.createElement("td");
+        const actionSel = createSelect(importActionOptions, actions[e.name]);
+        actionSel.addEventListener("change", () => {
+          actions[e.name] = actionSel.value;
+          renderPreview();
+        });
+        actionTd.appendChild(actionSel);
+        tr.appendChild(actionTd);
+
+        const nameTd = document.createElement("td");
+        nameTd.textContent = e.name;
+        nameTd.style.textAlign = "left";
+        tr.appendChild(nameTd);
+
+        const status = [];
+        if (!e.known) status.push("⚠ nicht im Roster");
+        status.push(e.existing ? "vorhanden" : "neu");
+        if (e.duplicate) status.push("doppelt");
+        const statusTd = document.createElement("td");
+        statusTd.textContent = status.join(", ");
+        if (!e.known) statusTd.classList.add("import-warning");
+        tr.appendChild(statusTd);
+
+        shownFields.forEach(f => {
+          const td = document.createElement("td");
+          td.textContent = f.time ? formatTimeMMSS(e.values[f.key]) : e.values[f.key];
+          if (e.invalid.includes(f.key)) {
+            td.classList.add("import-warning");
+            td.title = "Kein gültiger Wert, wird als 0 importiert";
+          }
+          tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+      });
+      table.appendChild(tbody);
+      previewWrap.appendChild(table);
     }
+
+    renderPreview();
+    openModal({
+      title: opts.title,
+      content,
+      className: "wide",
+      buttons: [
+        { label: "Abbrechen" },
+        {
+          label: "Importieren",
+          className: "import-csv-btn",
+          onClick: () => {
+            if (mapping.name === -1) { alert("Bitte die Spalte mit den Spielernamen zuordnen."); return false; }
+            if (opts.confirmApply && !opts.confirmApply(mode)) return false;
+            const entries = collectEntries().map(e => Object.assign(e, { action: actions[e.name] }));
+            const counts = { replace: 0, add: 0, skip: 0 };
+            entries.forEach(e => { counts[e.action]++; });
+            opts.onApply(entries.filter(e => e.action !== "skip"), mapping, mode);
+            alert(`Import abgeschlossen: ${counts.replace} ersetzt, ${counts.add} addiert, ${counts.skip} übersprungen.`);
+          }
+        }
+      ]
+    });
   }
 
-  // Import: Season CSV (additive). Adds numeric fields to existing seasonData entries.
-  // 'games' is NOT modified for existing players (preserved). For new players games = 0.
-  function importSeasonCSVFromText(txt) {
-    try {
-      const lines = splitCsvLines(txt);
-      if (lines.length === 0) { alert("Leere CSV"); return; }
-      const header = parseCsvLine(lines[0]);
-
-      const idxNr = header.findIndex(h => /^nr$/i.test(h) || /^nr\./i.test(h) || /nr/i.test(h));
-      const idxSpieler = header.findIndex(h => /spieler/i.test(h) || /player/i.test(h));
-      const idxGames = header.findIndex(h => /^games$/i.test(h) || /games/i.test(h));
-      const idxGoals = header.findIndex(h => /^goals$/i.test(h) || /goals/i.test(h));
-      const idxAssists = header.findIndex(h => /^assists$/i.test(h) || /assists/i.test(h));
-      const idxPlusMinus = header.findIndex(h => /^\+\/-$/i.test(h) || /plus-?minus/i.test(h) || /\+\/-/i.test(h));
-      const idxShots = header.findIndex(h => /^shots$/i.test(h) || /shots/i.test(h));
-      const idxPenalty = header.findIndex(h => /^penalty$/i.test(h) || /^penaltys$/i.test(h) || /penalty/i.test(h));
-      const idxFaceOffs = header.findIndex(h => /^faceoffs$/i.test(h) || /faceoffs/i.test(h));
-      const idxFaceOffsWon = header.findIndex(h => /^faceoffs won$/i.test(h) || /^faceoffswon$/i.test(h) || /faceoffs won/i.test(h));
-      const idxGoalValue = header.findIndex(h => /goal value/i.test(h) || /gv/i.test(h));
-      const idxTime = header.findIndex(h => /time/i.test(h) || /zeit/i.test(h));
-
-      // Helper: parse time "MM:SS" or numeric seconds
-      function parseTimeToSecondsLocal(str) {
-        if (!str) return 0;
-        const s = String(str).trim();
-        if (s.match(/^\d+:\d{2}$/)) {
-          const [mm, ss] = s.split(":").map(Number);
-          return (Number(mm) || 0) * 60 + (Number(ss) || 0);
+  // Import: Stats CSV (same format as exportStatsCSV); summary rows are not imported as players
+  function importStatsCSVFromText(txt) {
+    const rows = parseCsv(txt);
+    if (rows.length === 0) { alert("Leere CSV"); return; }
+    openImportWizard({
+      title: "Stats-CSV importieren",
+      rows,
+      fields: statsImportFields(),
+      isSummaryRow: (name) => /^(total \(|timer$|periode )/i.test(name),
+      hasExisting: (name) => categories.some(c => Number(statsData[name]?.[c] || 0) !== 0) || Number(playerTimes[name] || 0) > 0,
+      // players outside the roster would never show up in the stats table
+      defaultAction: (name, known) => known ? "replace" : "skip",
+      actionHints: { replace: "Wert aus der Datei", add: "vorhandener Wert + Datei", skip: "Spieler bleibt unverändert" },
+      onApply: (entries, mapping) => {
+        entries.forEach(e => {
+          if (!statsData[e.name]) statsData[e.name] = {};
+          categories.forEach(cat => {
+            if (!(cat in e.values)) return;
+            const base = e.action === "add" ? (Number(statsData[e.name][cat]) || 0) : 0;
+            statsData[e.name][cat] = base + e.values[cat];
+          });
+          if ("time" in e.values) {
+            const base = e.action === "add" ? (Number(playerTimes[e.name]) || 0) : 0;
+            playerTimes[e.name] = base + e.values.time;
+          }
+        });
+
+        // "Periode P1" rows carry "for vs against" -> restore the opponent side
+        const importedOpponent = { shots: {}, goals: {} };
+        let hasPeriodRows = false;
+        rows.slice(1).forEach(cols => {
+          const periodMatch = String(cols[mapping.name] || "").trim().match(/^periode (p(\d+)|ot)$/i);
+          if (!periodMatch) return;
+          const period = periodMatch[2] ? Number(periodMatch[2]) : getClockSettings().periods + 1;
+          const againstOf = (idx) => idx === -1 ? 0 : Number(String(cols[idx] || "").split(/\s+vs\s+/i)[1]) || 0;
+          importedOpponent.shots[period] = againstOf(mapping.Shot);
+          importedOpponent.goals[period] = againstOf(mapping.Goals);
+          hasPeriodRows = true;
+        });
+
+        storage.setItem("statsData", JSON.stringify(statsData));
+        storage.setItem("playerTimes", JSON.stringify(playerTimes));
+        if (hasPeriodRows) {
+          opponentStats = importedOpponent;
+          saveOpponentStats();
         }
-        const n = Number(s.replace(/[^0-9.-]/g, ""));
-        return isNaN(n) ? 0 : n;
+        renderStatsTable();
       }
+    });
+  }
 
-      for (let i = 1; i < lines.length; i++) {
-        const cols = parseCsvLine(lines[i]);
-        const name = (idxSpieler !== -1) ? (cols[idxSpieler] || "").trim() : "";
-        if (!name) continue;
-
-        // Values parsed from CSV (fallback 0)
-        const parsed = {
-          num: (idxNr !== -1) ? (cols[idxNr] || "") : "",
-          goals: (idxGoals !== -1) ? (Number(cols[idxGoals] || 0) || 0) : 0,
-          assists: (idxAssists !== -1) ? (Number(cols[idxAssists] || 0) || 0) : 0,
-          plusMinus: (idxPlusMinus !== -1) ? (Number(cols[idxPlusMinus] || 0) || 0) : 0,
-          shots: (idxShots !== -1) ? (Number(cols[idxShots] || 0) || 0) : 0,
-          penaltys: (idxPenalty !== -1) ? (Number(cols[idxPenalty] || 0) || 0) : 0,
-          faceOffs: (idxFaceOffs !== -1) ? (Number(cols[idxFaceOffs] || 0) || 0) : 0,
-          faceOffsWon: (idxFaceOffsWon !== -1) ? (Number(cols[idxFaceOffsWon] || 0) || 0) : 0,
-          timeSeconds: (idxTime !== -1) ? parseTimeToSecondsLocal(cols[idxTime]) : 0,
-          goalValue: (idxGoalValue !== -1) ? (Number(cols[idxGoalValue] || 0) || 0) : 0
-        };
+  // Import: Season CSV into seasonBase.
+  // "restore": the season totals of the replaced players become exactly the file (round-trip of
+  //            exportSeasonCSV, incl. games); game records stay, seasonBase only holds the difference
+  //            to them. Skipped players and players missing in the file keep their values.
+  // "merge":   per player "Addieren" adds the file values, games included (combining two devices),
+  //            "Ersetzen" sets the player's season total to the file values.
+  function importSeasonCSVFromText(txt) {
+    const rows = parseCsv(txt);
+    if (rows.length === 0) { alert("Leere CSV"); return; }
+    const valueFields = seasonImportFields.filter(f => f.key !== "name" && f.key !== "num");
+    openImportWizard({
+      title: "Season-CSV importieren",
+      rows,
+      fields: seasonImportFields,
+      modes: [
+        { value: "merge", label: "Zusammenführen (addieren)" },
+        { value: "restore", label: "Wiederherstellen (Season ersetzen)" }
+      ],
+      isSummaryRow: (name) => /^total \(/i.test(name),
+      hasExisting: (name) => !!seasonData[name],
+      defaultAction: (name, known, mode) => mode === "restore" ? "replace" : "add",
+      actionHints: {
+        replace: "Season-Total = Datei (gespeicherte Spiele werden verrechnet)",
+        add: "Season-Total + Datei",
+        skip: "Spieler bleibt unverändert"
+      },
+      confirmApply: (mode) => mode !== "restore" ||
+        confirm("Season wirklich durch die Datei ersetzen? Spieler mit \"Ersetzen\" erhalten genau die Werte der Datei, " +
+          "gespeicherte Spiele werden dabei verrechnet und bleiben erhalten. Übersprungene Spieler und Spieler, " +
+          "die nicht in der Datei stehen, behalten ihre Werte (inkl. der Werte aus gespeicherten Spielen)."),
+      onApply: (entries, mapping, mode) => {
+        // "Ersetzen" / restore: the season total (base + game records) becomes the file value
+        const fromGames = aggregateSeasonData({}, seasonGames);
+        const importedAt = new Date().toISOString();
+        const cleared = new Set();
+        entries.forEach(e => {
+          // restore: a replaced player starts from an empty base, fields missing in the file included
+          if (mode === "restore" && e.action === "replace" && !cleared.has(e.name)) {
+            delete seasonBase[e.name];
+            cleared.add(e.name);
+          }
+          if (!seasonBase[e.name]) seasonBase[e.name] = emptySeasonEntry(e.name, e.values.num || findRosterPlayer(e.name)?.num);
+          const existing = seasonBase[e.name];
+          existing.num = (mode === "restore" && e.values.num) || existing.num || e.values.num || findRosterPlayer(e.name)?.num || "";
+          const gamesBefore = Number(seasonData[e.name]?.games || 0);
+          valueFields.forEach(f => {
+            if (!(f.key in e.values)) return;
+            if (f.key === "goalValue") return;
+            if (e.action === "add") existing[f.key] = (Number(existing[f.key] || 0) || 0) + e.values[f.key];
+            else existing[f.key] = e.values[f.key] - Number(fromGames[e.name]?.[f.key] || 0);
+          });
+          // Goal Value is a rating, not a count: merging weights both sides by their games
+          if ("goalValue" in e.values) {
+            const gamesIn = Number(e.values.games || 0);
+            const weighted = mode === "merge" && e.action === "add" && gamesBefore + gamesIn > 0;
+            existing.goalValue = weighted
+              ? (Number(seasonData[e.name]?.goalValue || 0) * gamesBefore + e.values.goalValue * gamesIn) / (gamesBefore + gamesIn)
+              : e.values.goalValue;
+            // newer than the game snapshots so far, see aggregateSeasonData
+            existing.goalValueAt = importedAt;
+          }
+        });
+        storage.setItem("seasonBase", JSON.stringify(seasonBase));
+        recomputeSeasonData();
+        renderSeasonTable();
 
-        // If seasonData already has the player, add numeric fields.
-        // games is NOT modified — it stays as in seasonData.
-        if (!seasonData[name]) {
-          // New entry: initialize with parsed values, but games = 0
-          seasonData[name] = {
-            num: parsed.num || "",
-            name: name,
-            games: 0,
-            goals: parsed.goals,
-            assists: parsed.assists,
-            plusMinus: parsed.plusMinus,
-            shots: parsed.shots,
-            penaltys: parsed.penaltys,
-            faceOffs: parsed.faceOffs,
-            faceOffsWon: parsed.faceOffsWon,
-            timeSeconds: parsed.timeSeconds,
-            goalValue: parsed.goalValue
-          };
-        } else {
-          // Existing entry: add numeric values; preserve existing games value
-          const existing = seasonData[name];
-          existing.num = existing.num || parsed.num || existing.num || "";
-          existing.goals = (Number(existing.goals || 0) || 0) + parsed.goals;
-          existing.assists = (Number(existing.assists || 0) || 0) + parsed.assists;
-          existing.plusMinus = (Number(existing.plusMinus || 0) || 0) + parsed.plusMinus;
-          existing.shots = (Number(existing.shots || 0) || 0) + parsed.shots;
-          existing.penaltys = (Number(existing.penaltys || 0) || 0) + parsed.penaltys;
-          existing.faceOffs = (Number(existing.faceOffs || 0) || 0) + parsed.faceOffs;
-          existing.faceOffsWon = (Number(existing.faceOffsWon || 0) || 0) + parsed.faceOffsWon;
-          existing.timeSeconds = (Number(existing.timeSeconds || 0) || 0) + parsed.timeSeconds;
-          existing.goalValue = (Number(existing.goalValue || 0) || 0) + parsed.goalValue;
-          // IMPORTANT: do NOT change existing.games (leave as-is)
+        // round-trip check: after a restore the season must show exactly the file values
+        if (mode === "restore") {
+          const mismatches = entries
+            .filter(e => valueFields.some(f => f.key in e.values && Math.abs(Number(seasonData[e.name]?.[f.key] || 0) - e.values[f.key]) > 0.001))
+            .map(e => e.name);
+          if (mismatches.length) {
+            console.warn("Season restore mismatch:", mismatches);
+            alert(`Achtung: nach dem Wiederherstellen weichen Werte von der Datei ab: ${mismatches.join(", ")}`);
+          }
         }
       }
-
-      localStorage.setItem("seasonData", JSON.stringify(seasonData));
-      renderSeasonTable();
-      alert("Season-CSV importiert und Zahlen zu bestehenden Daten addiert. 'games' wurden nicht verändert.");
-    } catch (e) {
-      console.error("Import Season CSV failed:", e);
-      alert("Fehler beim Importieren der Season-CSV (siehe Konsole).");
-    }
+    });
   }
 
   // --- Marker helpers with FIELD image sampling ---
@@ -541,7 +1240,7 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
-  function createMarkerPercent(xPctContainer, yPctContainer, color, container, interactive = true) {
+  function createMarkerPercent(xPctContainer, yPctContainer, color, container, interactive = true, meta = null) {
     xPctContainer = clampPct(xPctContainer);
     yPctContainer = clampPct(yPctContainer);
     const dot = document.createElement("div");
@@ -549,10 +1248,345 @@ document.addEventListener("DOMContentLoaded", () => {
     dot.style.backgroundColor = color;
     dot.style.left = `${xPctContainer}%`;
     dot.style.top = `${yPctContainer}%`;
+    if (meta) applyMarkerMeta(dot, meta);
     if (interactive) {
-      dot.addEventListener("click", (ev) => { ev.stopPropagation(); dot.remove(); });
+      // long press re-opens the tag panel, a tap removes the marker
+      let holdTimer = null;
+      let held = false;
+      const startHold = (ev) => {
+        ev.stopPropagation();
+        held = false;
+        if (holdTimer) clearTimeout(holdTimer);
+        holdTimer = setTimeout(() => { holdTimer = null; held = true; openMarkerTagPanel(dot); }, LONG_MARK_MS_INTERNAL);
+      };
+      const cancelHold = () => { if (holdTimer) { clearTimeout(holdTimer); holdTimer = null; } };
+      dot.addEventListener("mousedown", startHold);
+      dot.addEventListener("touchstart", startHold, { passive: true });
+      ["mouseup", "mouseleave", "touchend", "touchcancel"].forEach(type => dot.addEventListener(type, cancelHold));
+      dot.addEventListener("contextmenu", (ev) => ev.preventDefault());
+      dot.addEventListener("click", (ev) => {
+        ev.stopPropagation();
+        if (held) { held = false; return; }
+        const parent = dot.parentNode;
+        if (markerTagTarget === dot) hideMarkerTagPanel();
+        dot.remove();
+        refreshMarkerViews();
+        pushHistory({
+          scope: "goalMap",
+          label: "Marker entfernen",
+          undo: () => { if (parent) parent.appendChild(dot); refreshMarkerViews(); },
+          redo: () => { if (markerTagTarget === dot) hideMarkerTagPanel(); dot.remove(); refreshMarkerViews(); }
+        });
+      });
     }
     container.appendChild(dot);
+    return dot;
+  }
+
+  // --- Marker tags: shooter, goalie, period, game time, result ---
+  const markerResults = [
+    { value: "", label: "–" },
+    { value: "goal", label: "Tor" },
+    { value: "saved", label: "Gehalten" },
+    { value: "missed", label: "Daneben" },
+    { value: "blocked", label: "Geblockt" }
+  ];
+  const markerMetaKeys = ["player", "goalie", "period", "time", "result", "zone", "side", "strength"];
+  let lastMarkerTag = { player: "", goalie: "", result: "" };
+  let markerTagTarget = null;
+
+  function readMarkerMeta(dot) {
+    const meta = {};
+    markerMetaKeys.forEach(k => {
+      if (typeof dot.dataset[k] !== "undefined" && dot.dataset[k] !== "") meta[k] = (k === "time" || k === "period") ? Number(dot.dataset[k]) : dot.dataset[k];
+    });
+    return meta;
+  }
+
+  function applyMarkerMeta(dot, meta) {
+    markerMetaKeys.forEach(k => {
+      if (meta[k] === undefined || meta[k] === null || meta[k] === "") delete dot.dataset[k];
+      else dot.dataset[k] = String(meta[k]);
+    });
+    const parts = [];
+    if (meta.player) parts.push(meta.player);
+    if (meta.period) parts.push(formatEventClock({ period: meta.period, t: meta.time }));
+    const res = markerResults.find(r => r.value === meta.result);
+    if (res && res.value) parts.push(res.label);
+    if (meta.goalie) parts.push(`Goalie: ${meta.goalie}`);
+    if (meta.strength && meta.strength !== "5v5") parts.push(meta.strength);
+    const zone = meta.zone ? getRinkZones().find(z => z.id === meta.zone) : null;
+    if (zone) parts.push(`${zone.label} (xG ${formatXg(zone.rate)})`);
+    dot.title = parts.join(" · ");
+  }
+
+  function getGoalieCandidates() {
+    const goalies = selectedPlayers.filter(p => findRosterPlayer(p.name)?.position === "G");
+    return (goalies.length ? goalies : selectedPlayers).map(p => p.name);
+  }
+
+  function hideMarkerTagPanel() {
+    markerTagTarget = null;
+    const panel = document.getElementById("markerTagPanel");
+    if (panel) panel.style.display = "none";
+  }
+
+  // non-blocking panel so double taps on the map keep working while it is open.
+  // time is stored on the game clock like events; the panel shows and takes it within the period.
+  // A new marker is stamped with the current clock and the last tags, an existing one keeps its tags.
+  function openMarkerTagPanel(dot, isNew = false) {
+    const root = document.getElementById("torbildPage");
+    if (!root || !dot) return;
+    let panel = document.getElementById("markerTagPanel");
+    if (!panel) {
+      panel = document.createElement("div");
+      panel.id = "markerTagPanel";
+      panel.className = "marker-tag-panel";
+      root.appendChild(panel);
+    }
+    panel.innerHTML = "";
+    markerTagTarget = dot;
+
+    const meta = isNew
+      ? Object.assign(readMarkerMeta(dot), lastMarkerTag, { period: getCurrentPeriod(), time: Number(timerSeconds) || 0, strength: formatStrength() })
+      : readMarkerMeta(dot);
+    if (isNew) applyMarkerMeta(dot, meta);
+
+    const playerSel = createSelect([{ value: "", label: "–" }, ...selectedPlayers.map(p => ({ value: p.name, label: `${p.num ? p.num + " " : ""}${p.name}` }))], meta.player);
+    const goalieSel = createSelect([{ value: "", label: "–" }, ...getGoalieCandidates().map(n => ({ value: n, label: n }))], meta.goalie);
+    const clockPeriods = getClockSettings().periods;
+    const periodSel = createSelect(Array.from({ length: clockPeriods + 1 }, (_, i) => i + 1).map(n => ({ value: n, label: n > clockPeriods ? "OT" : `${n}.` })), meta.period);
+    const timeInput = document.createElement("input");
+    timeInput.type = "text";
+    timeInput.inputMode = "numeric";
+    timeInput.value = meta.period ? formatTimeMMSS(Math.max(0, (Number(meta.time) || 0) - periodStartSeconds(meta.period))) : "";
+    timeInput.style.width = "64px";
+    const resultSel = createSelect(markerResults, meta.result);
+
+    const update = () => {
+      if (!markerTagTarget) return;
+      const period = Number(periodSel.value) || 1;
+      const next = {
+        player: playerSel.value,
+        goalie: goalieSel.value,
+        period,
+        time: periodStartSeconds(period) + parseTimeToSeconds(timeInput.value),
+        result: resultSel.value
+      };
+      applyMarkerMeta(markerTagTarget, Object.assign(readMarkerMeta(markerTagTarget), next));
+      lastMarkerTag = { player: next.player, goalie: next.goalie, result: next.result };
+      refreshMarkerViews();
+    };
+    [playerSel, goalieSel, periodSel, timeInput, resultSel].forEach(el => el.addEventListener("change", update));
+
+    panel.appendChild(createFormField("Schütze", playerSel));
+    panel.appendChild(createFormField("Goalie", goalieSel));
+    panel.appendChild(createFormField("Periode", periodSel));
+    panel.appendChild(createFormField("Zeit", timeInput));
+    panel.appendChild(createFormField("Resultat", resultSel));
+
+    const doneBtn = document.createElement("button");
+    doneBtn.type = "button";
+    doneBtn.className = "top-btn season-highlight";
+    doneBtn.textContent = "OK";
+    doneBtn.addEventListener("click", () => { update(); hideMarkerTagPanel(); });
+    panel.appendChild(doneBtn);
+
+    panel.style.display = "flex";
+  }
+
+  // --- Rink zones (percent of "Spielfeld Overlay.png") and expected goals ---
+  // Rectangles describe the attacking (green, upper) half; the lower half is mirrored.
+  // First matching zone wins, "outside" is the catch-all.
+  const defaultRinkZones = [
+    { id: "behindNet", label: "Hinter dem Tor", x1: 0, y1: 0, x2: 100, y2: 6.3, rate: 0.03 },
+    { id: "slot", label: "Slot", x1: 36, y1: 6.3, x2: 64, y2: 19, rate: 0.22 },
+    { id: "highSlot", label: "High Slot", x1: 36, y1: 19, x2: 64, y2: 28, rate: 0.10 },
+    { id: "point", label: "Point", x1: 0, y1: 28, x2: 100, y2: 34, rate: 0.04 },
+    { id: "boards", label: "Bande", x1: 0, y1: 6.3, x2: 100, y2: 28, rate: 0.05 },
+    { id: "outside", label: "Ausserhalb", x1: 0, y1: 0, x2: 100, y2: 50, rate: 0.01 }
+  ];
+
+  function getRinkZones() {
+    try {
+      const raw = storage.getItem("rinkZones");
+      if (raw) {
+        const arr = JSON.parse(raw);
+        if (Array.isArray(arr) && arr.length) return arr;
+      }
+    } catch (e) {}
+    return defaultRinkZones.map(z => Object.assign({}, z));
+  }
+  function setRinkZones(arr) { storage.setItem("rinkZones", JSON.stringify(arr)); }
+
+  function getRinkZoneAt(xPctImage, yPctImage) {
+    const side = yPctImage < 50 ? "for" : "against";
+    const y = side === "for" ? yPctImage : 100 - yPctImage;
+    const zone = getRinkZones().find(z => xPctImage >= z.x1 && xPctImage <= z.x2 && y >= z.y1 && y <= z.y2);
+    return { zone: zone ? zone.id : "", side };
+  }
+
+  function getRinkZoneMeta(pos) {
+    if (!pos || !pos.insideImage) return null;
+    return getRinkZoneAt(pos.xPctImage, pos.yPctImage);
+  }
+
+  function markerXg(meta) {
+    if (!meta || !meta.zone) return 0;
+    const zone = getRinkZones().find(z => z.id === meta.zone);
+    return zone ? Number(zone.rate) || 0 : 0;
+  }
+
+  function formatXg(v) {
+    return (Number(v) || 0).toFixed(2);
+  }
+
+  // xG for/against and per shooter from a list of marker meta objects
+  function computeXg(markers) {
+    const result = { for: 0, against: 0, byPlayer: {} };
+    markers.forEach(m => {
+      if (!m || !m.zone) return;
+      const xg = markerXg(m);
+      if (m.side === "against") result.against += xg;
+      else {
+        result.for += xg;
+        if (m.player) result.byPlayer[m.player] = (result.byPlayer[m.player] || 0) + xg;
+      }
+    });
+    return result;
+  }
+
+  function renderXgSummary(el, markers) {
+    if (!el) return;
+    const xg = computeXg(markers);
+    const players = Object.keys(xg.byPlayer).sort((a, b) => xg.byPlayer[b] - xg.byPlayer[a]);
+    el.innerHTML = `<strong>xG</strong> ${formatXg(xg.for)} : ${formatXg(xg.against)}` +
+      (players.length ? ` <span class="xg-players">` + players.map(n => `${escapeHtml(n)} ${formatXg(xg.byPlayer[n])}`).join(" · ") + `</span>` : "");
+  }
+
+  function renderGoalMapXgSummary() {
+    const dots = Array.from(document.querySelectorAll("#torbildPage .field-box .marker-dot"));
+    renderXgSummary(document.getElementById("torbildXgSummary"), dots.map(readMarkerMeta));
+  }
+
+  // all field markers of the stored season map games (box index 0 = field)
+  function getSeasonFieldMarkers(games) {
+    return games.flatMap(g => ((g.markers || [])[0] || []).map(m => Object.assign({ gameId: g.gameId }, m)));
+  }
+
+  function computeSeasonXgByPlayer() {
+    return computeXg(getSeasonFieldMarkers(getSeasonMapGames())).byPlayer;
+  }
+
+  function computeGameXg(gameId) {
+    const entry = getSeasonMapGames().find(g => g.gameId === gameId);
+    return entry ? computeXg(getSeasonFieldMarkers([entry])) : null;
+  }
+
+  function openRinkZonesDialog() {
+    const zones = getRinkZones();
+    const form = document.createElement("div");
+    form.className = "modal-form";
+    const hint = document.createElement("p");
+    hint.className = "center-text";
+    hint.textContent = "Rechtecke in % des Spielfelds (obere Hälfte, untere wird gespiegelt) und Torquote je Schuss.";
+    form.appendChild(hint);
+    const table = document.createElement("table");
+    table.className = "zones-table";
+    table.innerHTML = "<thead><tr><th>Zone</th><th>x1</th><th>y1</th><th>x2</th><th>y2</th><th>xG</th></tr></thead>";
+    const tbody = document.createElement("tbody");
+    const inputs = zones.map(z => {
+      const tr = document.createElement("tr");
+      const tdLabel = document.createElement("td");
+      tdLabel.textContent = z.label;
+      tr.appendChild(tdLabel);
+      const row = {};
+      ["x1", "y1", "x2", "y2", "rate"].forEach(f => {
+        const td = document.createElement("td");
+        const input = document.createElement("input");
+        input.type = "number";
+        input.step = f === "rate" ? "0.01" : "0.5";
+        input.value = String(z[f]);
+        td.appendChild(input);
+        tr.appendChild(td);
+        row[f] = input;
+      });
+      tbody.appendChild(tr);
+      return row;
+    });
+    table.appendChild(tbody);
+    form.appendChild(table);
+
+    const refresh = () => {
+      renderGoalMapXgSummary();
+      if (pages.seasonMap && pages.seasonMap.style.display !== "none") renderSeasonMapPage();
+    };
+    openModal({
+      title: "Zonen & xG",
+      content: form,
+      buttons: [
+        { label: "Standard", onClick: () => { storage.removeItem("rinkZones"); refresh(); } },
+        { label: "Abbrechen" },
+        {
+          label: "Speichern",
+          className: "season-highlight",
+          onClick: () => {
+            const next = zones.map((z, i) => {
+              const out = Object.assign({}, z);
+              ["x1", "y1", "x2", "y2", "rate"].forEach(f => { out[f] = Number(inputs[i][f].value) || 0; });
+              return out;
+            });
+            setRinkZones(next);
+            refresh();
+          }
+        }
+      ]
+    });
+  }
+
+  document.getElementById("rinkZonesBtn")?.addEventListener("click", openRinkZonesDialog);
+
+  function tagNewMarker(dot) {
+    if (dot) {
+      openMarkerTagPanel(dot, true);
+      const parent = dot.parentNode;
+      pushHistory({
+        scope: "goalMap",
+        label: "Marker setzen",
+        undo: () => { if (markerTagTarget === dot) hideMarkerTagPanel(); dot.remove(); refreshMarkerViews(); },
+        redo: () => { if (parent) parent.appendChild(dot); refreshMarkerViews(); }
+      });
+    }
+    refreshMarkerViews();
+    return dot;
+  }
+
+  function refreshMarkerViews() {
+    saveGoalMapMarkers();
+    renderGoalMapXgSummary();
+    renderGoalAreaStats();
+  }
+
+  // Goal Map markers per box (same shape as a Season Map export) so they survive a reload
+  function readGoalMapMarkers() {
+    return Array.from(document.querySelectorAll(torbildBoxesSelector)).map(box =>
+      Array.from(box.querySelectorAll(".marker-dot")).map(dot => Object.assign({
+        xPct: parseFloat((dot.style.left || "").replace("%", "")) || 0,
+        yPct: parseFloat((dot.style.top || "").replace("%", "")) || 0,
+        color: dot.style.backgroundColor || ""
+      }, readMarkerMeta(dot)))
+    );
+  }
+  function saveGoalMapMarkers() { storage.setItem("goalMapMarkers", JSON.stringify(readGoalMapMarkers())); }
+  function restoreGoalMapMarkers() {
+    let stored = [];
+    try { stored = JSON.parse(storage.getItem("goalMapMarkers")) || []; } catch (e) {}
+    if (!Array.isArray(stored)) return;
+    document.querySelectorAll(torbildBoxesSelector).forEach((box, idx) => {
+      (Array.isArray(stored[idx]) ? stored[idx] : []).forEach(m => {
+        createMarkerPercent(Number(m.xPct) || 0, Number(m.yPct) || 0, m.color || "#444", box, true, m);
+      });
+    });
   }
 
   function createMarkerBasedOn(pos, boxEl, longPress, forceGrey=false) {
@@ -567,7 +1601,7 @@ document.addEventListener("DOMContentLoaded", () => {
         }
         const sampler = createImageSampler(img);
         if (longPress || forceGrey) {
-          createMarkerPercent(pos.xPctContainer, pos.yPctContainer, "#444", boxEl, true);
+          tagNewMarker(createMarkerPercent(pos.xPctContainer, pos.yPctContainer, "#444", boxEl, true, getRinkZoneMeta(pos)));
           return;
         }
         if (sampler && sampler.valid) {
@@ -576,17 +1610,17 @@ document.addEventListener("DOMContentLoaded", () => {
           const isGreen = sampler.isGreenAt(ix, iy, 110, 30);
           const isRed = sampler.isRedAt(ix, iy, 95, 22);
           if (isGreen) {
-            createMarkerPercent(pos.xPctContainer, pos.yPctContainer, "#00ff66", boxEl, true);
+            tagNewMarker(createMarkerPercent(pos.xPctContainer, pos.yPctContainer, "#00ff66", boxEl, true, getRinkZoneMeta(pos)));
             return;
           }
           if (isRed) {
-            createMarkerPercent(pos.xPctContainer, pos.yPctContainer, "#ff0000", boxEl, true);
+            tagNewMarker(createMarkerPercent(pos.xPctContainer, pos.yPctContainer, "#ff0000", boxEl, true, getRinkZoneMeta(pos)));
             return;
           }
           return;
         } else {
           const color = pos.yPctImage > 50 ? "#ff0000" : "#00ff66";
-          createMarkerPercent(pos.xPctContainer, pos.yPctContainer, color, boxEl, true);
+          tagNewMarker(createMarkerPercent(pos.xPctContainer, pos.yPctContainer, color, boxEl, true, getRinkZoneMeta(pos)));
           return;
         }
       } else {
@@ -605,18 +1639,18 @@ document.addEventListener("DOMContentLoaded", () => {
       if (boxEl.id === "goalGreenBox") {
         const ok = sampler.isWhiteAt(pos.xPctContainer, pos.yPctContainer, 220);
         if (!ok) return;
-        createMarkerPercent(pos.xPctContainer, pos.yPctContainer, "#444", boxEl, true);
+        tagNewMarker(createMarkerPercent(pos.xPctContainer, pos.yPctContainer, "#444", boxEl, true));
         return;
       }
       if (boxEl.id === "goalRedBox") {
         const ok = sampler.isNeutralWhiteAt(pos.xPctContainer, pos.yPctContainer, 235, 12);
         if (!ok) return;
-        createMarkerPercent(pos.xPctContainer, pos.yPctContainer, "#444", boxEl, true);
+        tagNewMarker(createMarkerPercent(pos.xPctContainer, pos.yPctContainer, "#444", boxEl, true));
         return;
       }
       const ok = sampler.isWhiteAt(pos.xPctContainer, pos.yPctContainer, 220);
       if (!ok) return;
-      createMarkerPercent(pos.xPctContainer, pos.yPctContainer, "#444", boxEl, true);
+      tagNewMarker(createMarkerPercent(pos.xPctContainer, pos.yPctContainer, "#444", boxEl, true));
       return;
     }
 
@@ -737,11 +1771,47 @@ document.addEventListener("DOMContentLoaded", () => {
   attachMarkerHandlersToBoxes(torbildBoxesSelector);
 
   // --- Time tracking helpers ---
+  // one .period block per configured period plus one for overtime (key prefix + "ot"); the
+  // four columns are the quarters of the period. Extra blocks are copies of the first one.
+  function syncTimeBoxPeriods(box, prefix) {
+    if (!box) return;
+    const template = box.querySelector(".period");
+    if (!template) return;
+    const cs = getClockSettings();
+    const wanted = Array.from({ length: cs.periods }, (_, i) => ({ key: `${prefix}${i + 1}`, n: i + 1, minutes: cs.periodMinutes }));
+    if (cs.overtimeMinutes) wanted.push({ key: `${prefix}ot`, n: 0, minutes: cs.overtimeMinutes });
+    const ordinal = (n) => n === 1 ? "1st" : n === 2 ? "2nd" : n === 3 ? "3rd" : `${n}th`;
+    const existing = Array.from(box.querySelectorAll(".period"));
+    const keep = new Set();
+    wanted.forEach(w => {
+      let period = existing.find(el => el.dataset.period === w.key);
+      if (!period) {
+        period = template.cloneNode(true);
+        delete period.dataset.bound;
+        period.dataset.period = w.key;
+        period.querySelectorAll(".time-btn").forEach(btn => { btn.textContent = "0"; });
+      }
+      const title = period.querySelector(".period-title");
+      if (title) title.textContent = w.n ? `${ordinal(w.n)} Period` : "Overtime";
+      const quarter = w.minutes / 4;
+      period.querySelectorAll(".period-numbers span").forEach((span, i) => {
+        span.textContent = `${Math.ceil(w.minutes - i * quarter) - 1} - ${Math.floor(w.minutes - (i + 1) * quarter)}`;
+      });
+      // keeps the order periods, then overtime
+      box.appendChild(period);
+      keep.add(period);
+    });
+    existing.forEach(el => { if (!keep.has(el)) el.remove(); });
+  }
+
   function initTimeTrackingBox(box, storageKey = "timeData", readOnly = false) {
     if (!box) return;
-    let timeDataAll = JSON.parse(localStorage.getItem(storageKey)) || {};
+    let timeDataAll = JSON.parse(storage.getItem(storageKey)) || {};
 
     box.querySelectorAll(".period").forEach(period => {
+      // called again after the periods changed: only new blocks get their handlers
+      if (period.dataset.bound) return;
+      period.dataset.bound = "1";
       const periodNum = period.dataset.period || Math.random().toString(36).slice(2,6);
       const buttons = period.querySelectorAll(".time-btn");
 
@@ -760,13 +1830,20 @@ document.addEventListener("DOMContentLoaded", () => {
         let clickTimeout = null;
         let touchStart = 0;
 
+        const setValue = (val) => {
+          btn.textContent = val;
+          // re-read: recompute from events / resets write storage directly
+          timeDataAll = JSON.parse(storage.getItem(storageKey)) || {};
+          if (!timeDataAll[periodNum]) timeDataAll[periodNum] = {};
+          timeDataAll[periodNum][idx] = val;
+          storage.setItem(storageKey, JSON.stringify(timeDataAll));
+        };
         const updateValue = (delta) => {
           const current = Number(btn.textContent) || 0;
           const newVal = Math.max(0, current + delta);
-          btn.textContent = newVal;
-          if (!timeDataAll[periodNum]) timeDataAll[periodNum] = {};
-          timeDataAll[periodNum][idx] = newVal;
-          localStorage.setItem(storageKey, JSON.stringify(timeDataAll));
+          if (newVal === current) return;
+          setValue(newVal);
+          pushHistory({ scope: "goalMap", label: "Zeitbox", undo: () => setValue(current), redo: () => setValue(newVal) });
         };
 
         btn.addEventListener("click", () => {
@@ -804,8 +1881,12 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
-  initTimeTrackingBox(torbildTimeTrackingBox, "timeData", false);
-  initTimeTrackingBox(seasonMapTimeTrackingBox, "seasonMapTimeData", true);
+  function setupTimeTrackingBoxes() {
+    syncTimeBoxPeriods(torbildTimeTrackingBox, "p");
+    syncTimeBoxPeriods(seasonMapTimeTrackingBox, "sp");
+    initTimeTrackingBox(torbildTimeTrackingBox, "timeData", false);
+    initTimeTrackingBox(seasonMapTimeTrackingBox, "seasonMapTimeData", true);
+  }
 
   // --- Season Map export/import functions (modified export flow) ---
   function readTimeTrackingFromBox(box) {
@@ -826,181 +1907,401 @@ document.addEventListener("DOMContentLoaded", () => {
     const periods = Array.from(box.querySelectorAll(".period"));
     periods.forEach((period, pIdx) => {
       const key = period.dataset.period || (`p${pIdx}`);
-      const arr = data[key] || data[Object.keys(data)[pIdx]] || [];
+      // the Season Map box uses "sp1", game exports "p1"
+      const arr = data[key] || data[key.replace(/^s/, "")] || data[Object.keys(data)[pIdx]] || [];
       period.querySelectorAll(".time-btn").forEach((btn, idx) => {
         btn.textContent = (typeof arr[idx] !== "undefined") ? arr[idx] : btn.textContent;
       });
     });
   }
 
-  function exportSeasonMapFromTorbild() {
-    // First confirm export
-    const proceed = confirm("In Season Map exportieren?");
-    if (!proceed) return;
-
-    const boxes = Array.from(document.querySelectorAll(torbildBoxesSelector));
-    const allMarkers = boxes.map(box => {
-      const markers = [];
-      box.querySelectorAll(".marker-dot").forEach(dot => {
-        const left = dot.style.left || "";
-        const top = dot.style.top || "";
-        const bg = dot.style.backgroundColor || "";
-        const xPct = parseFloat(left.replace("%","")) || 0;
-        const yPct = parseFloat(top.replace("%","")) || 0;
-        markers.push({ xPct, yPct, color: bg });
-      });
-      return markers;
-    });
-    localStorage.setItem("seasonMapMarkers", JSON.stringify(allMarkers));
-
-    const timeData = readTimeTrackingFromBox(torbildTimeTrackingBox);
-    localStorage.setItem("seasonMapTimeData", JSON.stringify(timeData));
-
-    // After export, ask whether to keep data in Goal Map
-    const keep = confirm("Spiel wurde in Season Map exportiert, Daten in Goal Map beibehalten? (OK = Ja, Abbrechen = Nein)");
-    if (!keep) {
-      // remove markers and reset time boxes in Goal Map (torbildPage)
-      document.querySelectorAll("#torbildPage .marker-dot").forEach(d => d.remove());
-      document.querySelectorAll("#torbildPage .time-btn").forEach(btn => btn.textContent = "0");
-      localStorage.removeItem("timeData");
+  // Season Map data: one entry per exported game (tagged with the game id).
+  // "seasonMapMarkers" / "seasonMapTimeData" are kept as derived aggregates.
+  function getSeasonMapGames() {
+    try {
+      const raw = storage.getItem("seasonMapGames");
+      if (raw) {
+        const arr = JSON.parse(raw);
+        if (Array.isArray(arr)) return arr;
+      }
+    } catch (e) {}
+    // migration: a single previous export becomes one legacy game entry
+    const games = [];
+    try {
+      const markers = JSON.parse(storage.getItem("seasonMapMarkers") || "null");
+      const timeData = JSON.parse(storage.getItem("seasonMapTimeData") || "null");
+      if (markers || timeData) {
+        games.push({ gameId: "legacy", date: "", opponent: "", homeAway: "", exportedAt: "", markers: markers || [], timeData: timeData || {} });
+      }
+    } catch (e) {
+      console.warn("Invalid legacy season map data", e);
     }
+    storage.setItem("seasonMapGames", JSON.stringify(games));
+    return games;
+  }
+  function setSeasonMapGames(arr) {
+    storage.setItem("seasonMapGames", JSON.stringify(arr));
+    storage.setItem("seasonMapMarkers", JSON.stringify(aggregateSeasonMapMarkers(arr)));
+    storage.setItem("seasonMapTimeData", JSON.stringify(aggregateSeasonMapTimeData(arr)));
+  }
 
-    // navigate to seasonMap
-    showPage("seasonMap");
-    renderSeasonMapPage();
+  // markers per box index, concatenated over all games
+  function aggregateSeasonMapMarkers(games) {
+    const result = [];
+    games.forEach(g => {
+      (g.markers || []).forEach((markersForBox, idx) => {
+        if (!Array.isArray(markersForBox)) return;
+        if (!result[idx]) result[idx] = [];
+        markersForBox.forEach(m => result[idx].push(Object.assign({ gameId: g.gameId }, m)));
+      });
+    });
+    return result;
   }
 
-  // --- renderGoalAreaStats (unchanged) ---
-  function renderGoalAreaStats() {
-    const seasonMapRoot = document.getElementById("seasonMapPage");
-    if (!seasonMapRoot) return;
-
-    const goalBoxIds = ["goalGreenBox", "goalRedBox"];
-    goalBoxIds.forEach(id => {
-      const box = seasonMapRoot.querySelector(`#${id}`);
-      if (!box) return;
-      box.querySelectorAll(".goal-area-label").forEach(el => el.remove());
-
-      const markers = Array.from(box.querySelectorAll(".marker-dot"));
-      const total = markers.length;
-
-      const counts = { tl: 0, tr: 0, bl: 0, bm: 0, br: 0 };
-      markers.forEach(m => {
-        const left = parseFloat(m.style.left) || 0;
-        const top = parseFloat(m.style.top) || 0;
-        if (top < 50) {
-          if (left < 50) counts.tl++;
-          else counts.tr++;
-        } else {
-          if (left < 33.3333) counts.bl++;
-          else if (left < 66.6667) counts.bm++;
-          else counts.br++;
-        }
+  // time buckets summed per period key
+  function aggregateSeasonMapTimeData(games) {
+    const result = {};
+    games.forEach(g => {
+      const tdata = g.timeData || {};
+      Object.keys(tdata).forEach(key => {
+        const vals = tdata[key];
+        if (!result[key]) result[key] = [];
+        const arr = Array.isArray(vals) ? vals : Object.keys(vals || {}).sort((a, b) => Number(a) - Number(b)).map(k => vals[k]);
+        arr.forEach((v, idx) => { result[key][idx] = (Number(result[key][idx]) || 0) + (Number(v) || 0); });
       });
+    });
+    return result;
+  }
 
-      const areas = [
-        { key: "tl", x: 25, y: 22 },
-        { key: "tr", x: 75, y: 22 },
-        { key: "bl", x: 16, y: 75 },
-        { key: "bm", x: 50, y: 75 },
-        { key: "br", x: 84, y: 75 }
-      ];
+  // --- Season Map filter (single game, last N, opponent, date range, home/away) ---
+  function getSeasonMapFilter() {
+    try {
+      const raw = storage.getItem("seasonMapFilter");
+      if (raw) return JSON.parse(raw);
+    } catch (e) {}
+    return { mode: "all" };
+  }
+  function setSeasonMapFilter(obj) { storage.setItem("seasonMapFilter", JSON.stringify(obj)); }
+
+  // opponent/date/home-away of a map entry; the season game record wins if it exists
+  function withGameMeta(entry) {
+    const game = seasonGames.find(g => g.id === entry.gameId);
+    if (!game) return entry;
+    return Object.assign({}, entry, { date: game.date || entry.date, opponent: game.opponent || entry.opponent, homeAway: game.homeAway || entry.homeAway });
+  }
+
+  function filterSeasonMapGames(games, filter) {
+    const f = filter || { mode: "all" };
+    const list = games.map(withGameMeta);
+    switch (f.mode) {
+      case "game":
+        return list.filter(g => g.gameId === f.gameId);
+      case "lastN": {
+        const n = Math.max(1, Number(f.lastN) || 1);
+        return list.slice().sort((a, b) => String(a.date || a.exportedAt).localeCompare(String(b.date || b.exportedAt))).slice(-n);
+      }
+      case "opponent":
+        return list.filter(g => (g.opponent || "").toLowerCase() === String(f.opponent || "").toLowerCase());
+      case "dateRange":
+        return list.filter(g => (!f.from || (g.date && g.date >= f.from)) && (!f.to || (g.date && g.date <= f.to)));
+      case "homeAway":
+        return list.filter(g => g.homeAway === f.homeAway);
+      default:
+        return list;
+    }
+  }
+
+  window.getSeasonMapTimeData = (filter = getSeasonMapFilter()) => aggregateSeasonMapTimeData(filterSeasonMapGames(getSeasonMapGames(), filter));
+
+  function renderSeasonMapFilterBar() {
+    const filter = getSeasonMapFilter();
+    const games = getSeasonMapGames().map(withGameMeta);
+    const modeSel = document.getElementById("seasonMapFilterMode");
+    const gameSel = document.getElementById("seasonMapFilterGame");
+    const oppSel = document.getElementById("seasonMapFilterOpponent");
+    if (!modeSel) return;
 
-      areas.forEach(a => {
-        const cnt = counts[a.key] || 0;
-        const pct = total ? Math.round((cnt / total) * 100) : 0;
-        const div = document.createElement("div");
-        div.className = "goal-area-label";
-        div.style.position = "absolute";
-        div.style.left = `${a.x}%`;
-        div.style.top = `${a.y}%`;
-        div.style.transform = "translate(-50%,-50%)";
-        div.style.pointerEvents = "none";
-        div.style.fontWeight = "800";
-        div.style.opacity = "0.45";
-        div.style.fontSize = "36px";
-        div.style.color = "#000000";
-        div.style.textShadow = "0 1px 2px rgba(255,255,255,0.06)";
-        div.style.lineHeight = "1";
-        div.style.userSelect = "none";
-        div.style.whiteSpace = "nowrap";
-        div.textContent = `${cnt} (${pct}%)`;
-        box.appendChild(div);
+    modeSel.value = filter.mode || "all";
+    if (gameSel) {
+      gameSel.innerHTML = "";
+      games.forEach(g => {
+        const o = document.createElement("option");
+        o.value = g.gameId;
+        o.textContent = g.gameId === "legacy" ? "Früherer Export" : formatGameLabel(g);
+        gameSel.appendChild(o);
+      });
+      if (filter.gameId) gameSel.value = filter.gameId;
+    }
+    if (oppSel) {
+      oppSel.innerHTML = "";
+      [...new Set(games.map(g => g.opponent).filter(Boolean))].sort().forEach(op => {
+        const o = document.createElement("option");
+        o.value = op;
+        o.textContent = op;
+        oppSel.appendChild(o);
       });
+      if (filter.opponent) oppSel.value = filter.opponent;
+    }
+    const playerSel = document.getElementById("seasonMapFilterPlayer");
+    if (playerSel) {
+      playerSel.innerHTML = "";
+      const shooters = new Set();
+      games.forEach(g => (g.markers || []).forEach(box => (box || []).forEach(m => { if (m.player) shooters.add(m.player); })));
+      [{ value: "", label: "Alle Spieler" }, ...[...shooters].sort().map(n => ({ value: n, label: n }))].forEach(opt => {
+        const o = document.createElement("option");
+        o.value = opt.value;
+        o.textContent = opt.label;
+        playerSel.appendChild(o);
+      });
+      playerSel.value = filter.player || "";
+    }
+    const lastN = document.getElementById("seasonMapFilterLastN");
+    if (lastN) lastN.value = filter.lastN || 3;
+    const from = document.getElementById("seasonMapFilterFrom");
+    if (from) from.value = filter.from || "";
+    const to = document.getElementById("seasonMapFilterTo");
+    if (to) to.value = filter.to || "";
+    const ha = document.getElementById("seasonMapFilterHomeAway");
+    if (ha) ha.value = filter.homeAway || "home";
+
+    // show only the controls of the selected mode
+    document.querySelectorAll("#seasonMapFilterBar [data-filter-mode]").forEach(el => {
+      el.style.display = el.dataset.filterMode.split(" ").includes(modeSel.value) ? "" : "none";
     });
+  }
 
-    const unnamedGoalBoxes = Array.from(seasonMapRoot.querySelectorAll(".goal-img-box")).filter(b => !["goalGreenBox","goalRedBox"].includes(b.id));
-    unnamedGoalBoxes.forEach(box => {
-      box.querySelectorAll(".goal-area-label").forEach(el => el.remove());
-      const markers = Array.from(box.querySelectorAll(".marker-dot"));
-      const total = markers.length;
-      const counts = { tl: 0, tr: 0, bl: 0, bm: 0, br: 0 };
-      markers.forEach(m => {
-        const left = parseFloat(m.style.left) || 0;
-        const top = parseFloat(m.style.top) || 0;
-        if (top < 50) {
-          if (left < 50) counts.tl++;
-          else counts.tr++;
-        } else {
-          if (left < 33.3333) counts.bl++;
-          else if (left < 66.6667) counts.bm++;
-          else counts.br++;
+  function readSeasonMapFilterFromBar() {
+    const val = id => document.getElementById(id)?.value || "";
+    return {
+      mode: val("seasonMapFilterMode") || "all",
+      gameId: val("seasonMapFilterGame"),
+      lastN: Number(val("seasonMapFilterLastN")) || 3,
+      opponent: val("seasonMapFilterOpponent"),
+      from: val("seasonMapFilterFrom"),
+      to: val("seasonMapFilterTo"),
+      homeAway: val("seasonMapFilterHomeAway") || "home",
+      player: val("seasonMapFilterPlayer")
+    };
+  }
+
+  document.querySelectorAll("#seasonMapFilterBar select, #seasonMapFilterBar input").forEach(el => {
+    el.addEventListener("change", () => {
+      const filter = readSeasonMapFilterFromBar();
+      setSeasonMapFilter(filter);
+      renderSeasonMapPage(filter);
+    });
+  });
+
+  function exportSeasonMapFromTorbild() {
+    const allMarkers = readGoalMapMarkers();
+    const timeData = readTimeTrackingFromBox(torbildTimeTrackingBox);
+
+    // the map entry is linked to a season game picked here, not to whatever currentGame is by now
+    const current = getCurrentGame();
+    const mapGames = getSeasonMapGames();
+    const hasMap = (id) => mapGames.some(g => g.gameId === id);
+    const seasonOptions = seasonGames
+      .slice()
+      .sort((x, y) => String(y.date).localeCompare(String(x.date)))
+      .map(g => ({ value: g.id, label: `${formatGameLabel(g)}${hasMap(g.id) ? " (Karte vorhanden)" : ""}` }));
+    const currentInSeason = seasonGames.some(g => g.id === current.id);
+    const options = currentInSeason ? seasonOptions
+      : [{ value: current.id, label: `Aktuelles Spiel (noch nicht in Season)${current.opponent ? " – " + current.opponent : ""}` }, ...seasonOptions];
+    // default: the current game, else the newest season game without a map (export after "don't keep")
+    const fallback = seasonOptions.find(o => !hasMap(o.value));
+    const defaultId = currentInSeason || !fallback ? current.id : fallback.value;
+
+    const form = document.createElement("div");
+    form.className = "modal-form";
+    const gameSelect = createSelect(options, defaultId);
+    form.appendChild(createFormField("Spiel", gameSelect));
+
+    openModal({
+      title: "In Season Map exportieren?",
+      content: form,
+      buttons: [
+        { label: "Abbrechen" },
+        {
+          label: "Exportieren",
+          className: "export-season",
+          onClick: () => {
+            const gameId = gameSelect.value;
+            if (hasMap(gameId) && !confirm("Für dieses Spiel gibt es schon eine Season-Map-Karte. Ersetzen?")) return false;
+            const meta = seasonGames.find(g => g.id === gameId) || current;
+            const entry = {
+              gameId,
+              date: meta.date || "",
+              opponent: meta.opponent || "",
+              homeAway: meta.homeAway || "",
+              exportedAt: new Date().toISOString(),
+              markers: allMarkers,
+              timeData
+            };
+            const games = getSeasonMapGames();
+            const existingIdx = games.findIndex(g => g.gameId === entry.gameId);
+            if (existingIdx !== -1) games[existingIdx] = entry;
+            else games.push(entry);
+            setSeasonMapGames(games);
+
+            // After export, ask whether to keep data in Goal Map
+            const keep = confirm("Spiel wurde in Season Map exportiert, Daten in Goal Map beibehalten? (OK = Ja, Abbrechen = Nein)");
+            if (!keep) {
+              // remove markers and reset time boxes in Goal Map (torbildPage)
+              document.querySelectorAll("#torbildPage .marker-dot").forEach(d => d.remove());
+              document.querySelectorAll("#torbildPage .time-btn").forEach(btn => btn.textContent = "0");
+              storage.removeItem("timeData");
+              hideMarkerTagPanel();
+              clearHistory("goalMap");
+              refreshMarkerViews();
+            }
+
+            // navigate to seasonMap
+            showPage("seasonMap");
+            renderSeasonMapPage();
+          }
         }
-      });
-      const areas = [
-        { key: "tl", x: 25, y: 22 },
-        { key: "tr", x: 75, y: 22 },
-        { key: "bl", x: 16, y: 75 },
-        { key: "bm", x: 50, y: 75 },
-        { key: "br", x: 84, y: 75 }
-      ];
-      areas.forEach(a => {
-        const cnt = counts[a.key] || 0;
-        const pct = total ? Math.round((cnt / total) * 100) : 0;
-        const div = document.createElement("div");
-        div.className = "goal-area-label";
-        div.style.position = "absolute";
-        div.style.left = `${a.x}%`;
-        div.style.top = `${a.y}%`;
-        div.style.transform = "translate(-50%,-50%)";
-        div.style.pointerEvents = "none";
-        div.style.fontWeight = "800";
-        div.style.opacity = "0.45";
-        div.style.fontSize = "36px";
-        div.style.color = "#000000";
-        div.style.textShadow = "0 1px 2px rgba(255,255,255,0.06)";
-        div.style.lineHeight = "1";
-        div.style.userSelect = "none";
-        div.style.whiteSpace = "nowrap";
-        div.textContent = `${cnt} (${pct}%)`;
-        box.appendChild(div);
-      });
+      ]
     });
   }
 
-  function renderSeasonMapPage() {
-    const boxes = Array.from(document.querySelectorAll(seasonMapBoxesSelector));
-    boxes.forEach(box => box.querySelectorAll(".marker-dot").forEach(d => d.remove()));
+  // --- Goal-net zones: configurable layout (per team), counts, share and save % per zone ---
+  // Rectangles in percent of the goal box; first matching zone wins; lx/ly = label position.
+  const goalZoneLayouts = {
+    classic5: {
+      label: "Klassisch (5 Zonen)",
+      fontSize: 36,
+      zones: [
+        { key: "tl", x1: 0, y1: 0, x2: 50, y2: 50, lx: 25, ly: 22 },
+        { key: "tr", x1: 50, y1: 0, x2: 100, y2: 50, lx: 75, ly: 22 },
+        { key: "bl", x1: 0, y1: 50, x2: 33.3333, y2: 100, lx: 16, ly: 75 },
+        { key: "bm", x1: 33.3333, y1: 50, x2: 66.6667, y2: 100, lx: 50, ly: 75 },
+        { key: "br", x1: 66.6667, y1: 50, x2: 100, y2: 100, lx: 84, ly: 75 }
+      ]
+    },
+    grid3x3: {
+      label: "Raster 3x3",
+      fontSize: 24,
+      zones: [0, 1, 2].flatMap(r => [0, 1, 2].map(c => ({
+        key: `r${r}c${c}`,
+        x1: c * 33.3333, y1: r * 33.3333, x2: (c + 1) * 33.3333, y2: (r + 1) * 33.3333,
+        lx: c * 33.3333 + 16.6667, ly: r * 33.3333 + 16.6667
+      })))
+    },
+    nineHole: {
+      label: "9 Löcher + Five-Hole",
+      fontSize: 20,
+      zones: [{ key: "five", x1: 40, y1: 66.6667, x2: 60, y2: 100, lx: 50, ly: 86 }].concat(
+        [0, 1, 2].flatMap(r => [0, 1, 2].map(c => ({
+          key: `h${r * 3 + c + 1}`,
+          x1: c * 33.3333, y1: r * 33.3333, x2: (c + 1) * 33.3333, y2: (r + 1) * 33.3333,
+          lx: c * 33.3333 + 16.6667, ly: r === 2 ? 72 : r * 33.3333 + 16.6667
+        })))
+      )
+    }
+  };
 
-    const raw = localStorage.getItem("seasonMapMarkers");
-    if (raw) {
-      try {
-        const allMarkers = JSON.parse(raw);
-        allMarkers.forEach((markersForBox, idx) => {
-          const box = boxes[idx];
-          if (!box || !Array.isArray(markersForBox)) return;
-          markersForBox.forEach(m => {
-            createMarkerPercent(m.xPct, m.yPct, m.color || "#444", box, false);
-          });
-        });
-      } catch (e) {
-        console.warn("Invalid seasonMapMarkers", e);
+  function getGoalZoneLayoutKey() {
+    const key = storage.getItem("goalZoneLayout");
+    return goalZoneLayouts[key] ? key : "classic5";
+  }
+  function setGoalZoneLayoutKey(key) { storage.setItem("goalZoneLayout", key); }
+
+  function renderGoalAreaStatsForBox(box, layout) {
+    box.querySelectorAll(".goal-area-label").forEach(el => el.remove());
+    const markers = Array.from(box.querySelectorAll(".marker-dot"));
+    const total = markers.length;
+
+    const counts = {};
+    layout.zones.forEach(z => { counts[z.key] = { cnt: 0, goals: 0, saves: 0 }; });
+    markers.forEach(m => {
+      const left = parseFloat(m.style.left) || 0;
+      const top = parseFloat(m.style.top) || 0;
+      // right/bottom edge (100%) belongs to the last zone
+      const zone = layout.zones.find(z => left >= z.x1 && (left < z.x2 || z.x2 >= 100) && top >= z.y1 && (top < z.y2 || z.y2 >= 100));
+      if (!zone) return;
+      const c = counts[zone.key];
+      c.cnt++;
+      if (m.dataset.result === "goal") c.goals++;
+      else if (m.dataset.result === "saved") c.saves++;
+    });
+
+    layout.zones.forEach(z => {
+      const c = counts[z.key];
+      const pct = total ? Math.round((c.cnt / total) * 100) : 0;
+      const div = document.createElement("div");
+      div.className = "goal-area-label";
+      div.style.position = "absolute";
+      div.style.left = `${z.lx}%`;
+      div.style.top = `${z.ly}%`;
+      div.style.transform = "translate(-50%,-50%)";
+      div.style.pointerEvents = "none";
+      div.style.fontWeight = "800";
+      div.style.opacity = "0.45";
+      div.style.fontSize = `${layout.fontSize}px`;
+      div.style.color = "#000000";
+      div.style.textShadow = "0 1px 2px rgba(255,255,255,0.06)";
+      div.style.lineHeight = "1";
+      div.style.userSelect = "none";
+      div.style.whiteSpace = "nowrap";
+      div.style.textAlign = "center";
+      div.textContent = `${c.cnt} (${pct}%)`;
+      // save percentage only where shots have a result (goal / saved)
+      if (c.goals + c.saves > 0) {
+        const sv = document.createElement("div");
+        sv.className = "goal-area-sv";
+        sv.style.fontSize = `${Math.round(layout.fontSize * 0.5)}px`;
+        sv.textContent = `SV ${Math.round((c.saves / (c.goals + c.saves)) * 100)}%`;
+        div.appendChild(sv);
       }
-    }
-    const rawTime = localStorage.getItem("seasonMapTimeData");
-    if (rawTime) {
+      box.appendChild(div);
+    });
+  }
+
+  // renders the zone overlay on all goal boxes of the Season Map and the Goal Map
+  function renderGoalAreaStats() {
+    const layout = goalZoneLayouts[getGoalZoneLayoutKey()];
+    ["seasonMapPage", "torbildPage"].forEach(rootId => {
+      const root = document.getElementById(rootId);
+      if (!root) return;
+      root.querySelectorAll(".goal-img-box").forEach(box => renderGoalAreaStatsForBox(box, layout));
+    });
+  }
+
+  const goalZoneLayoutSelect = document.getElementById("goalZoneLayoutSelect");
+  if (goalZoneLayoutSelect) {
+    Object.keys(goalZoneLayouts).forEach(key => {
+      const o = document.createElement("option");
+      o.value = key;
+      o.textContent = goalZoneLayouts[key].label;
+      goalZoneLayoutSelect.appendChild(o);
+    });
+    goalZoneLayoutSelect.value = getGoalZoneLayoutKey();
+    goalZoneLayoutSelect.addEventListener("change", () => {
+      setGoalZoneLayoutKey(goalZoneLayoutSelect.value);
+      renderGoalAreaStats();
+    });
+  }
+
+  function renderSeasonMapPage(filter = getSeasonMapFilter()) {
+    const boxes = Array.from(document.querySelectorAll(seasonMapBoxesSelector));
+    boxes.forEach(box => box.querySelectorAll(".marker-dot").forEach(d => d.remove()));
+    seasonMapTimeTrackingBox?.querySelectorAll(".time-btn").forEach(btn => btn.textContent = "0");
+    renderSeasonMapFilterBar();
+
+    const games = filterSeasonMapGames(getSeasonMapGames(), filter);
+    const allMarkers = aggregateSeasonMapMarkers(games);
+    allMarkers.forEach((markersForBox, idx) => {
+      const box = boxes[idx];
+      if (!box || !Array.isArray(markersForBox)) return;
+      markersForBox.forEach(m => {
+        // player view: only the selected shooter's markers (zone stats are counted from the DOM)
+        if (filter.player && m.player !== filter.player) return;
+        createMarkerPercent(m.xPct, m.yPct, m.color || "#444", box, false, m);
+      });
+    });
+    if (games.length) {
       try {
-        const tdata = JSON.parse(rawTime);
+        const tdata = aggregateSeasonMapTimeData(games);
         writeTimeTrackingToBox(seasonMapTimeTrackingBox, tdata);
         seasonMapTimeTrackingBox.querySelectorAll(".time-btn").forEach(btn => {
           btn.disabled = true;
@@ -1013,14 +2314,141 @@ document.addEventListener("DOMContentLoaded", () => {
 
     // render overlays
     renderGoalAreaStats();
+    renderSeasonMapHeatmap();
+    renderXgSummary(document.getElementById("seasonMapXgSummary"),
+      getSeasonFieldMarkers(games).filter(m => !filter.player || m.player === filter.player));
+    if (typeof window.renderSeasonMomentumGraphic === "function") window.renderSeasonMomentumGraphic(filter);
+  }
+
+  // --- Season Map heatmap mode (field box) ---
+  function getSeasonMapView() {
+    try {
+      const raw = storage.getItem("seasonMapView");
+      if (raw) return Object.assign({ heatmap: false, dots: true }, JSON.parse(raw));
+    } catch (e) {}
+    return { heatmap: false, dots: true };
+  }
+  function setSeasonMapView(obj) { storage.setItem("seasonMapView", JSON.stringify(obj)); }
+
+  // shots for / against as decided at creation by the field sampler (green / red dot)
+  const HEATMAP_RAMPS = {
+    for: [[0, 140, 60], [120, 230, 90], [230, 255, 160]],
+    against: [[170, 0, 0], [255, 90, 0], [255, 220, 60]]
+  };
+
+  function rampColor(ramp, t) {
+    const pos = Math.max(0, Math.min(1, t)) * (ramp.length - 1);
+    const i = Math.min(ramp.length - 2, Math.floor(pos));
+    const f = pos - i;
+    return ramp[i].map((c, k) => Math.round(c + (ramp[i + 1][k] - c) * f));
+  }
+
+  function renderSeasonMapHeatmap() {
+    const box = document.getElementById("seasonFieldBox");
+    if (!box) return;
+    const view = getSeasonMapView();
+    const heatmapBtn = document.getElementById("seasonMapHeatmapBtn");
+    heatmapBtn?.classList.toggle("active", view.heatmap);
+    const dotsBtn = document.getElementById("seasonMapDotsBtn");
+    if (dotsBtn) {
+      dotsBtn.classList.toggle("active", view.dots);
+      dotsBtn.style.display = view.heatmap ? "" : "none";
+    }
+
+    let canvas = box.querySelector("canvas.heatmap-canvas");
+    const dots = Array.from(box.querySelectorAll(".marker-dot"));
+    dots.forEach(d => { d.style.display = (!view.heatmap || view.dots) ? "" : "none"; });
+    if (!view.heatmap) {
+      if (canvas) canvas.remove();
+      return;
+    }
+
+    const W = box.clientWidth;
+    const H = box.clientHeight;
+    if (!W || !H) return;
+    if (!canvas) {
+      canvas = document.createElement("canvas");
+      canvas.className = "heatmap-canvas";
+      // right after the image so the dots stay on top as overlay
+      const img = box.querySelector("img");
+      box.insertBefore(canvas, img ? img.nextSibling : box.firstChild);
+    }
+    canvas.width = W;
+    canvas.height = H;
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, W, H);
+
+    // density on a coarse grid, then scaled up smoothly
+    const SCALE = 4;
+    const gw = Math.max(1, Math.round(W / SCALE));
+    const gh = Math.max(1, Math.round(H / SCALE));
+    const sigma = Math.max(2, gw * 0.06);
+    const reach = Math.ceil(sigma * 3);
+    const density = { for: new Float32Array(gw * gh), against: new Float32Array(gw * gh) };
+
+    // side comes from the marker's zone metadata, so grey (long-press) shots count for their half;
+    // markers of old exports without it are left out and reported on the button
+    const unsided = dots.filter(d => d.dataset.side !== "for" && d.dataset.side !== "against").length;
+    if (heatmapBtn) heatmapBtn.title = unsided ? `${unsided} Marker ohne Seite (alter Export) nicht in der Heatmap` : "";
+    dots.forEach(d => {
+      const side = d.dataset.side;
+      if (side !== "for" && side !== "against") return;
+      const cx = (parseFloat(d.style.left) || 0) / 100 * gw;
+      const cy = (parseFloat(d.style.top) || 0) / 100 * gh;
+      const grid = density[side];
+      for (let y = Math.max(0, Math.floor(cy - reach)); y < Math.min(gh, Math.ceil(cy + reach)); y++) {
+        for (let x = Math.max(0, Math.floor(cx - reach)); x < Math.min(gw, Math.ceil(cx + reach)); x++) {
+          const dx = x - cx, dy = y - cy;
+          grid[y * gw + x] += Math.exp(-(dx * dx + dy * dy) / (2 * sigma * sigma));
+        }
+      }
+    });
+
+    const off = document.createElement("canvas");
+    off.width = gw;
+    off.height = gh;
+    const offCtx = off.getContext("2d");
+    const img = offCtx.createImageData(gw, gh);
+    const maxFor = density.for.reduce((a, b) => Math.max(a, b), 0);
+    const maxAgainst = density.against.reduce((a, b) => Math.max(a, b), 0);
+    for (let i = 0; i < gw * gh; i++) {
+      const tf = maxFor ? density.for[i] / maxFor : 0;
+      const ta = maxAgainst ? density.against[i] / maxAgainst : 0;
+      const side = tf >= ta ? "for" : "against";
+      const t = Math.max(tf, ta);
+      if (t < 0.03) continue;
+      const [r, g, b] = rampColor(HEATMAP_RAMPS[side], t);
+      img.data[i * 4] = r;
+      img.data[i * 4 + 1] = g;
+      img.data[i * 4 + 2] = b;
+      img.data[i * 4 + 3] = Math.round(Math.min(1, t * 1.2) * 200);
+    }
+    offCtx.putImageData(img, 0, 0);
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(off, 0, 0, W, H);
   }
 
+  document.getElementById("seasonMapHeatmapBtn")?.addEventListener("click", () => {
+    const view = getSeasonMapView();
+    view.heatmap = !view.heatmap;
+    setSeasonMapView(view);
+    renderSeasonMapHeatmap();
+  });
+  document.getElementById("seasonMapDotsBtn")?.addEventListener("click", () => {
+    const view = getSeasonMapView();
+    view.dots = !view.dots;
+    setSeasonMapView(view);
+    renderSeasonMapHeatmap();
+  });
+  window.addEventListener("resize", () => {
+    if (pages.seasonMap && pages.seasonMap.style.display !== "none") renderSeasonMapHeatmap();
+  });
+
   function resetSeasonMap() {
     if (!confirm("⚠️ Season Map zurücksetzen (Marker + Timeboxen)?")) return;
-    document.querySelectorAll("#seasonMapPage .marker-dot").forEach(d => d.remove());
-    document.querySelectorAll("#seasonMapPage .time-btn").forEach(btn => btn.textContent = "0");
-    localStorage.removeItem("seasonMapMarkers");
-    localStorage.removeItem("seasonMapTimeData");
+    setSeasonMapGames([]);
+    // full re-render clears dots, time boxes, heatmap, xG / zone summaries and momentum
+    renderSeasonMapPage();
     alert("Season Map zurückgesetzt.");
   }
 
@@ -1046,64 +2474,268 @@ document.addEventListener("DOMContentLoaded", () => {
   if (backToStatsFromSeasonMapBtn) backToStatsFromSeasonMapBtn.addEventListener("click", () => showPage("stats"));
   if (document.getElementById("resetSeasonMapBtn")) document.getElementById("resetSeasonMapBtn").addEventListener("click", resetSeasonMap);
 
+  // --- Season game records ---
+  const seasonNumericFields = ["goals", "assists", "plusMinus", "shots", "penaltys", "faceOffs", "faceOffsWon", "timeSeconds", "shifts", "ppPoints", "shPoints"];
+  // only filled for goalies; goalieGames counts games with ice time or shots against
+  const seasonGoalieFields = ["goalieGames", "shotsAgainst", "saves", "goalsAgainst", "shutouts"];
+
+  function emptySeasonEntry(name, num) {
+    return {
+      num: num || "",
+      name: name,
+      games: 0,
+      goals: 0,
+      assists: 0,
+      plusMinus: 0,
+      shots: 0,
+      penaltys: 0,
+      faceOffs: 0,
+      faceOffsWon: 0,
+      timeSeconds: 0,
+      shifts: 0,
+      ppPoints: 0,
+      shPoints: 0,
+      goalieGames: 0,
+      shotsAgainst: 0,
+      saves: 0,
+      goalsAgainst: 0,
+      shutouts: 0,
+      goalValue: 0
+    };
+  }
+
+  function saveSeasonGames() {
+    storage.setItem("seasonGames", JSON.stringify(seasonGames));
+  }
+
+  // seasonData = seasonBase + sum of all game records.
+  // goalValue is a snapshot, not summed: the newest one wins, either a game export (exportedAt)
+  // or a CSV import into seasonBase (goalValueAt).
+  function aggregateSeasonData(base, games) {
+    const result = {};
+    const goalValueAt = {};
+    Object.keys(base).forEach(name => {
+      result[name] = Object.assign(emptySeasonEntry(name), base[name], { name });
+      goalValueAt[name] = base[name].goalValueAt || "";
+      delete result[name].goalValueAt;
+    });
+    games
+      .slice()
+      .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+      .forEach(game => {
+        Object.keys(game.players || {}).forEach(name => {
+          const line = game.players[name];
+          if (!result[name]) result[name] = emptySeasonEntry(name, line.num);
+          const entry = result[name];
+          entry.games = Number(entry.games || 0) + 1;
+          seasonNumericFields.concat(seasonGoalieFields).forEach(f => { entry[f] = Number(entry[f] || 0) + Number(line[f] || 0); });
+          entry.num = line.num || entry.num || "";
+          const exportedAt = String(game.exportedAt || "");
+          if (typeof line.goalValue !== "undefined" && exportedAt >= (goalValueAt[name] || "")) {
+            entry.goalValue = line.goalValue;
+            goalValueAt[name] = exportedAt;
+          }
+        });
+      });
+    return result;
+  }
+
+  function recomputeSeasonData() {
+    seasonData = aggregateSeasonData(seasonBase, seasonGames);
+    storage.setItem("seasonData", JSON.stringify(seasonData));
+    return seasonData;
+  }
+
+  function removeSeasonGame(gameId) {
+    const idx = seasonGames.findIndex(g => g.id === gameId);
+    if (idx === -1) return false;
+    seasonGames.splice(idx, 1);
+    saveSeasonGames();
+    recomputeSeasonData();
+    return true;
+  }
+
+  function formatGameLabel(game) {
+    const ha = game.homeAway === "away" ? "@" : "vs";
+    return `${game.date || "?"} ${ha} ${game.opponent || "?"}`;
+  }
+
+  // meta data of the game currently recorded on the stats page
+  function getCurrentGame() {
+    try {
+      const raw = storage.getItem("currentGame");
+      if (raw) return JSON.parse(raw);
+    } catch (e) {}
+    const game = { id: "g" + Date.now().toString(36), date: new Date().toISOString().slice(0, 10), opponent: "", homeAway: "home" };
+    setCurrentGame(game);
+    return game;
+  }
+  function setCurrentGame(obj) { storage.setItem("currentGame", JSON.stringify(obj)); }
+  function startNewCurrentGame() {
+    storage.removeItem("currentGame");
+    return getCurrentGame();
+  }
+
+  function openGameInfoDialog(onSubmit) {
+    const current = getCurrentGame();
+    const score = currentScore();
+
+    const form = document.createElement("div");
+    form.className = "modal-form";
+    const dateInput = document.createElement("input");
+    dateInput.type = "date";
+    dateInput.value = current.date || new Date().toISOString().slice(0, 10);
+    const oppInput = document.createElement("input");
+    oppInput.type = "text";
+    oppInput.placeholder = "Gegner";
+    oppInput.value = current.opponent || "";
+    const haSelect = createSelect([{ value: "home", label: "Heim" }, { value: "away", label: "Auswärts" }], current.homeAway || "home");
+    const forInput = document.createElement("input");
+    forInput.type = "number";
+    forInput.min = "0";
+    forInput.value = String(score.for);
+    const againstInput = document.createElement("input");
+    againstInput.type = "number";
+    againstInput.min = "0";
+    againstInput.value = String(score.against);
+
+    form.appendChild(createFormField("Datum", dateInput));
+    form.appendChild(createFormField("Gegner", oppInput));
+    form.appendChild(createFormField("Heim/Auswärts", haSelect));
+    form.appendChild(createFormField("Tore", forInput));
+    form.appendChild(createFormField("Gegentore", againstInput));
+
+    openModal({
+      title: "Spiel zu Season exportieren?",
+      content: form,
+      buttons: [
+        { label: "Abbrechen" },
+        {
+          label: "Exportieren",
+          className: "export-season",
+          onClick: () => {
+            const opponent = oppInput.value.trim();
+            if (!opponent) { alert("Bitte Gegner eintragen."); return false; }
+            onSubmit({
+              date: dateInput.value,
+              opponent,
+              homeAway: haSelect.value,
+              scoreFor: Number(forInput.value) || 0,
+              scoreAgainst: Number(againstInput.value) || 0
+            });
+          }
+        }
+      ]
+    });
+  }
+
   // --- Season export (Stats -> Season) (modified flow) ---
   const exportSeasonHandler = () => {
-    // first prompt: ask to export
-    const proceed = confirm("Spiel zu Season exportieren?");
-    if (!proceed) return;
-
     if (!selectedPlayers || selectedPlayers.length === 0) {
       alert("Keine Spieler ausgewählt, nichts zu exportieren.");
       return;
     }
 
-    // perform export (accumulate as one game)
+    // first step: game info dialog (cancel = no export)
+    openGameInfoDialog(info => {
+      const current = getCurrentGame();
+      // a game that is already in the season is only replaced after asking
+      const previous = seasonGames.find(g => g.id === current.id);
+      if (!previous) {
+        exportGameToSeason(info, current);
+        return;
+      }
+      const text = document.createElement("p");
+      text.className = "center-text";
+      text.textContent = `Spiel ${formatGameLabel(previous)} ist bereits in der Season.`;
+      openModal({
+        title: "Spiel erneut exportieren?",
+        content: text,
+        buttons: [
+          { label: "Abbrechen" },
+          {
+            label: "Als neues Spiel speichern",
+            onClick: () => exportGameToSeason(info, Object.assign(startNewCurrentGame(), { teamName: current.teamName }))
+          },
+          { label: "Ersetzen", className: "export-season", onClick: () => exportGameToSeason(info, current) }
+        ]
+      });
+    });
+  };
+
+  // writes the stats page as a game record of the season (replaces the record with the same id)
+  function exportGameToSeason(info, current) {
+    const game = {
+      id: current.id,
+      date: info.date,
+      teamName: current.teamName || getTeamName(),
+      opponent: info.opponent,
+      homeAway: info.homeAway,
+      scoreFor: info.scoreFor,
+      scoreAgainst: info.scoreAgainst,
+      shotsAgainst: opponentTotal("shots"),
+      opponentStats: JSON.parse(JSON.stringify(opponentStats)),
+      periods: computePeriodBreakdown(),
+      exportedAt: new Date().toISOString(),
+      events: gameEvents.slice(),
+      penalties: penalties.slice(),
+      players: {}
+    };
+    const special = computeSpecialTeams(gameEvents, penalties);
+    game.specialTeams = {
+      ppOpportunities: special.ppOpportunities,
+      ppGoals: special.ppGoals,
+      timesShorthanded: special.timesShorthanded,
+      ppGoalsAgainst: special.ppGoalsAgainst
+    };
+    setCurrentGame(Object.assign(current, { date: info.date, opponent: info.opponent, homeAway: info.homeAway }));
+
+    // one line per exported player
+    const markerCounts = getGoalNetGoalieCounts();
     selectedPlayers.forEach(p => {
       const name = p.name;
       const stats = statsData[name] || {};
-      const timeSeconds = Number(playerTimes[name] || 0);
-
-      if (!seasonData[name]) {
-        seasonData[name] = {
-          num: p.num || "",
-          name: name,
-          games: 0,
-          goals: 0,
-          assists: 0,
-          plusMinus: 0,
-          shots: 0,
-          penaltys: 0,
-          faceOffs: 0,
-          faceOffsWon: 0,
-          timeSeconds: 0,
-          goalValue: 0
-        };
-      }
-
-      seasonData[name].games = Number(seasonData[name].games || 0) + 1;
-      seasonData[name].goals = Number(seasonData[name].goals || 0) + Number(stats.Goals || 0);
-      seasonData[name].assists = Number(seasonData[name].assists || 0) + Number(stats.Assist || 0);
-      seasonData[name].plusMinus = Number(seasonData[name].plusMinus || 0) + Number(stats["+/-"] || 0);
-      seasonData[name].shots = Number(seasonData[name].shots || 0) + Number(stats.Shot || 0);
-      seasonData[name].penaltys = Number(seasonData[name].penaltys || 0) + Number(stats.Penaltys || 0);
-      seasonData[name].faceOffs = Number(seasonData[name].faceOffs || 0) + Number(stats.FaceOffs || 0);
-      seasonData[name].faceOffsWon = Number(seasonData[name].faceOffsWon || 0) + Number(stats["FaceOffs Won"] || 0);
-      seasonData[name].timeSeconds = Number(seasonData[name].timeSeconds || 0) + Number(timeSeconds || 0);
-      seasonData[name].num = p.num || seasonData[name].num || "";
-      seasonData[name].name = name;
-
+      let goalValue = 0;
       try {
-        if (typeof computeValueForPlayer === "function") {
-          seasonData[name].goalValue = computeValueForPlayer(name);
-        } else {
-          seasonData[name].goalValue = seasonData[name].goalValue || 0;
-        }
+        goalValue = (typeof computeValueForPlayer === "function") ? computeValueForPlayer(name) : 0;
       } catch (e) {
-        seasonData[name].goalValue = seasonData[name].goalValue || 0;
+        goalValue = 0;
+      }
+      game.players[name] = {
+        num: findRosterPlayer(name)?.num || p.num || "",
+        goals: Number(stats.Goals || 0),
+        assists: Number(stats.Assist || 0),
+        plusMinus: Number(stats["+/-"] || 0),
+        shots: Number(stats.Shot || 0),
+        penaltys: Number(stats.Penaltys || 0),
+        faceOffs: Number(stats.FaceOffs || 0),
+        faceOffsWon: Number(stats["FaceOffs Won"] || 0),
+        timeSeconds: Number(playerTimes[name] || 0),
+        shifts: Number(playerShifts[name] || 0),
+        ppPoints: special.byPlayer[name]?.ppPoints || 0,
+        shPoints: special.byPlayer[name]?.shPoints || 0,
+        goalValue
+      };
+      if (isGoaliePlayer(name)) {
+        const gl = computeGoalieLine(name, markerCounts);
+        const played = gl.timeSeconds > 0 || gl.shotsAgainst > 0;
+        Object.assign(game.players[name], {
+          goalieGames: played ? 1 : 0,
+          shotsAgainst: gl.shotsAgainst,
+          saves: gl.saves,
+          goalsAgainst: gl.goalsAgainst,
+          shutouts: played && gl.goalsAgainst === 0 ? 1 : 0
+        });
       }
     });
 
-    localStorage.setItem("seasonData", JSON.stringify(seasonData));
+    // exporting the same game again replaces its record
+    const existingIdx = seasonGames.findIndex(g => g.id === game.id);
+    if (existingIdx !== -1) seasonGames[existingIdx] = game;
+    else seasonGames.push(game);
+    saveSeasonGames();
+    recomputeSeasonData();
+    if (existingIdx === -1) remindBackupIfDue();
 
     // second prompt: ask whether to keep data in Game Data
     const keep = confirm("Spiel wurde in Season exportiert, Daten in Game Data beibehalten? (OK = Ja, Abbrechen = Nein)");
@@ -1112,18 +2744,271 @@ document.addEventListener("DOMContentLoaded", () => {
       selectedPlayers.forEach(p => {
         const name = p.name;
         if (!statsData[name]) statsData[name] = {};
-        categories.forEach(c => { statsData[name][c] = 0; });
+        categories.concat(goalieCategories).forEach(c => { statsData[name][c] = 0; });
         playerTimes[name] = 0;
+        playerShifts[name] = 0;
       });
-      localStorage.setItem("statsData", JSON.stringify(statsData));
-      localStorage.setItem("playerTimes", JSON.stringify(playerTimes));
+      storage.setItem("playerShifts", JSON.stringify(playerShifts));
+      storage.setItem("statsData", JSON.stringify(statsData));
+      storage.setItem("playerTimes", JSON.stringify(playerTimes));
+      clearGameEvents();
+      penalties = [];
+      savePenalties();
+      strengthState = { own: 5, opp: 5 };
+      saveStrengthState();
+      clearOpponentStats();
+      iceTimers = {};
+      saveIceTimers();
+      ensureIceTimerLoop();
+      // the next game starts at 0:00 in the first period
+      resetTimerOnlyClock();
+      clearHistory("stats");
+      startNewCurrentGame();
       renderStatsTable();
+      renderScoreboard(true);
     }
 
     showPage("season");
     renderSeasonTable();
+  }
+
+  function undoLastSeasonExport() {
+    if (!seasonGames.length) {
+      alert("Keine exportierten Spiele vorhanden.");
+      return;
+    }
+    const last = seasonGames.slice().sort((a, b) => String(a.exportedAt).localeCompare(String(b.exportedAt)))[seasonGames.length - 1];
+    if (!confirm(`⚠️ Export "${formatGameLabel(last)}" aus der Season entfernen?`)) return;
+    removeSeasonGame(last.id);
+    renderSeasonTable();
+  }
+
+  document.getElementById("undoSeasonExportBtn")?.addEventListener("click", undoLastSeasonExport);
+
+  // --- Games page: game log + read-only box score ---
+  const categoryFieldMap = {
+    "Shot": "shots",
+    "Goals": "goals",
+    "Assist": "assists",
+    "+/-": "plusMinus",
+    "FaceOffs": "faceOffs",
+    "FaceOffs Won": "faceOffsWon",
+    "Penaltys": "penaltys"
   };
 
+  // same look as the Game Data table (rounded, header colors)
+  function createStyledTable() {
+    const table = document.createElement("table");
+    table.className = "stats-table";
+    table.style.borderRadius = "8px";
+    table.style.overflow = "hidden";
+    table.style.borderCollapse = "separate";
+    table.style.borderSpacing = "0";
+    return table;
+  }
+  function applyHeaderStyle(cells) {
+    const headerBgColor = getComputedStyle(document.documentElement).getPropertyValue('--header-bg') || "#1E1E1E";
+    const headerTextColor = getComputedStyle(document.documentElement).getPropertyValue('--text-color') || "#fff";
+    Array.from(cells).forEach(c => {
+      c.style.background = headerBgColor;
+      c.style.color = headerTextColor;
+      c.style.fontWeight = "700";
+      c.style.padding = "8px";
+    });
+  }
+
+  let gamesDetailId = null;
+
+  function gameShotsFor(game) {
+    return Object.values(game.players || {}).reduce((sum, l) => sum + (Number(l.shots) || 0), 0);
+  }
+
+  function renderGamesPage() {
+    const container = document.getElementById("gamesContainer");
+    if (!container) return;
+    container.innerHTML = "";
+
+    const detail = gamesDetailId ? seasonGames.find(g => g.id === gamesDetailId) : null;
+    if (detail) {
+      renderGameBoxScore(container, detail);
+      return;
+    }
+    gamesDetailId = null;
+
+    if (!seasonGames.length) {
+      const p = document.createElement("p");
+      p.className = "center-text";
+      p.textContent = "Noch keine Spiele exportiert.";
+      container.appendChild(p);
+      return;
+    }
+
+    const table = createStyledTable();
+    const thead = document.createElement("thead");
+    const headerRow = document.createElement("tr");
+    ["Datum", "Gegner", "H/A", "Resultat", "Shots", "Shots gegen", "xG"].forEach(h => {
+      const th = document.createElement("th");
+      th.textContent = h;
+      headerRow.appendChild(th);
+    });
+    applyHeaderStyle(headerRow.children);
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const posColor = getComputedStyle(document.documentElement).getPropertyValue('--cell-pos-color')?.trim() || "#00ff80";
+    const negColor = getComputedStyle(document.documentElement).getPropertyValue('--cell-neg-color')?.trim() || "#ff4c4c";
+
+    const tbody = document.createElement("tbody");
+    seasonGames
+      .slice()
+      .sort((a, b) => String(b.date).localeCompare(String(a.date)))
+      .forEach((game, idx) => {
+        const tr = document.createElement("tr");
+        tr.classList.add(idx % 2 === 0 ? "even-row" : "odd-row");
+        tr.style.cursor = "pointer";
+        const scoreFor = Number(game.scoreFor || 0);
+        const scoreAgainst = Number(game.scoreAgainst || 0);
+        const xg = computeGameXg(game.id);
+        const cells = [
+          game.date || "",
+          game.opponent || "",
+          game.homeAway === "away" ? "A" : "H",
+          `${scoreFor}:${scoreAgainst}`,
+          gameShotsFor(game),
+          Number(game.shotsAgainst || 0),
+          xg ? `${formatXg(xg.for)} : ${formatXg(xg.against)}` : "–"
+        ];
+        cells.forEach((c, cIdx) => {
+          const td = document.createElement("td");
+          td.textContent = c;
+          if (cIdx === 1) { td.style.textAlign = "left"; td.style.fontWeight = "700"; }
+          if (cIdx === 3) td.style.color = scoreFor > scoreAgainst ? posColor : scoreFor < scoreAgainst ? negColor : "";
+          tr.appendChild(td);
+        });
+        tr.addEventListener("click", () => {
+          gamesDetailId = game.id;
+          renderGamesPage();
+        });
+        tbody.appendChild(tr);
+      });
+    table.appendChild(tbody);
+    container.appendChild(table);
+  }
+
+  function renderGameBoxScore(container, game) {
+    const bar = document.createElement("div");
+    bar.className = "top-bar";
+    const backBtn = document.createElement("button");
+    backBtn.type = "button";
+    backBtn.className = "top-btn back-btn";
+    backBtn.textContent = "← Alle Spiele";
+    backBtn.addEventListener("click", () => { gamesDetailId = null; renderGamesPage(); });
+    bar.appendChild(backBtn);
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "top-btn danger-btn";
+    removeBtn.textContent = "Spiel entfernen";
+    removeBtn.addEventListener("click", () => {
+      if (!confirm(`⚠️ Spiel "${formatGameLabel(game)}" aus der Season entfernen?`)) return;
+      removeSeasonGame(game.id);
+      gamesDetailId = null;
+      renderGamesPage();
+    });
+    bar.appendChild(removeBtn);
+    container.appendChild(bar);
+
+    const title = document.createElement("p");
+    title.className = "center-text game-title";
+    title.textContent = `${formatGameLabel(game)} — ${Number(game.scoreFor || 0)}:${Number(game.scoreAgainst || 0)}`;
+    container.appendChild(title);
+
+    const table = createStyledTable();
+    const thead = document.createElement("thead");
+    const headerRow = document.createElement("tr");
+    headerRow.innerHTML = `<th>#</th><th>Spieler</th>` + categories.map(c => `<th>${escapeHtml(c)}</th>`).join("") + `<th>Time</th><th>xG</th>`;
+    applyHeaderStyle(headerRow.children);
+    const gameXg = computeGameXg(game.id);
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const posColor = getComputedStyle(document.documentElement).getPropertyValue('--cell-pos-color')?.trim() || "#00ff80";
+    const negColor = getComputedStyle(document.documentElement).getPropertyValue('--cell-neg-color')?.trim() || "#ff4c4c";
+    const zeroColor = getComputedStyle(document.documentElement).getPropertyValue('--cell-zero-color')?.trim() || "#ffffff";
+
+    const tbody = document.createElement("tbody");
+    const names = Object.keys(game.players || {});
+    const totals = {};
+    categories.forEach(c => totals[c] = 0);
+    let totalSeconds = 0;
+    names.forEach((name, idx) => {
+      const line = game.players[name];
+      const tr = document.createElement("tr");
+      tr.classList.add(idx % 2 === 0 ? "even-row" : "odd-row");
+      const numTd = document.createElement("td");
+      numTd.innerHTML = `<strong>${escapeHtml(line.num || "-")}</strong>`;
+      tr.appendChild(numTd);
+      const nameTd = document.createElement("td");
+      nameTd.style.cssText = "text-align:left;padding-left:12px;white-space:nowrap;";
+      nameTd.innerHTML = `<strong>${escapeHtml(name)}</strong>`;
+      tr.appendChild(nameTd);
+      categories.forEach(c => {
+        const val = Number(line[categoryFieldMap[c]] || 0);
+        totals[c] += val;
+        const td = document.createElement("td");
+        td.textContent = val;
+        td.style.color = val > 0 ? posColor : val < 0 ? negColor : zeroColor;
+        tr.appendChild(td);
+      });
+      const timeTd = document.createElement("td");
+      timeTd.textContent = formatTimeMMSS(Number(line.timeSeconds || 0));
+      totalSeconds += Number(line.timeSeconds || 0);
+      tr.appendChild(timeTd);
+      const xgTd = document.createElement("td");
+      xgTd.textContent = gameXg ? formatXg(gameXg.byPlayer[name] || 0) : "–";
+      tr.appendChild(xgTd);
+      tbody.appendChild(tr);
+    });
+
+    const totalsRow = document.createElement("tr");
+    totalsRow.className = "total-row";
+    const totalCells = ["", `Total (${names.length})`];
+    categories.forEach(c => {
+      if (c === "Shot") totalCells.push(`${totals[c]} vs ${Number(game.shotsAgainst || 0)}`);
+      else if (c === "FaceOffs Won") {
+        const percent = totals["FaceOffs"] ? Math.round((totals["FaceOffs Won"] / totals["FaceOffs"]) * 100) : 0;
+        totalCells.push(`${totals[c]} (${percent}%)`);
+      } else totalCells.push(totals[c]);
+    });
+    totalCells.push(formatTimeMMSS(totalSeconds));
+    totalCells.push(gameXg ? `${formatXg(gameXg.for)} : ${formatXg(gameXg.against)}` : "–");
+    totalCells.forEach(c => {
+      const td = document.createElement("td");
+      td.textContent = c;
+      totalsRow.appendChild(td);
+    });
+    applyHeaderStyle(totalsRow.children);
+    tbody.appendChild(totalsRow);
+
+    table.appendChild(tbody);
+    container.appendChild(table);
+
+    if (Array.isArray(game.periods) && game.periods.length) {
+      const periodsDiv = document.createElement("div");
+      periodsDiv.className = "game-periods";
+      periodsDiv.textContent = game.periods
+        .map(b => `${periodLabel(b.period)}: Schüsse ${b.shotsFor}:${b.shotsAgainst}, Tore ${b.goalsFor}:${b.goalsAgainst}`)
+        .join(" · ");
+      container.appendChild(periodsDiv);
+    }
+  }
+
+  document.getElementById("gamesBtn")?.addEventListener("click", () => {
+    gamesDetailId = null;
+    showPage("games");
+    renderGamesPage();
+  });
+  document.getElementById("backToStatsFromGamesBtn")?.addEventListener("click", () => showPage("stats"));
+
   if (exportSeasonFromStatsBtn) {
     exportSeasonFromStatsBtn.addEventListener("click", exportSeasonHandler);
   }
@@ -1141,8 +3026,9 @@ document.addEventListener("DOMContentLoaded", () => {
         alert("Keine Spieler ausgewählt, nichts zu exportieren.");
         return;
       }
-      const header = ["Nr", "Spieler", ...categories, "Time"];
+      const header = ["Nr", "Spieler", ...categories, "Time", "PP Pts", "SH Pts"];
       const rows = [header];
+      const special = computeSpecialTeams(gameEvents, penalties);
 
       // player rows
       selectedPlayers.forEach(p => {
@@ -1154,6 +3040,8 @@ document.addEventListener("DOMContentLoaded", () => {
           row.push(String(Number(statsData[name]?.[cat] || 0)));
         });
         row.push(formatTimeMMSS(Number(playerTimes[name] || 0)));
+        row.push(String(special.byPlayer[name]?.ppPoints || 0));
+        row.push(String(special.byPlayer[name]?.shPoints || 0));
         rows.push(row);
       });
 
@@ -1182,28 +3070,380 @@ document.addEventListener("DOMContentLoaded", () => {
           totalRow[colIndex] = String(totals[c] || 0);
         }
       });
-      totalRow[header.length - 1] = formatTimeMMSS(totalSeconds);
+      const timeCol = header.indexOf("Time");
+      totalRow[timeCol] = formatTimeMMSS(totalSeconds);
+      const ppPts = selectedPlayers.reduce((sum, p) => sum + (special.byPlayer[p.name]?.ppPoints || 0), 0);
+      const shPts = selectedPlayers.reduce((sum, p) => sum + (special.byPlayer[p.name]?.shPoints || 0), 0);
+      const killed = special.timesShorthanded - special.ppGoalsAgainst;
+      totalRow[timeCol + 1] = `${ppPts} (PP ${formatPercentShare(special.ppGoals, special.ppOpportunities)})`;
+      totalRow[timeCol + 2] = `${shPts} (PK ${formatPercentShare(killed, special.timesShorthanded)})`;
       rows.push(totalRow);
 
       // additional row with timer button value
       const timerRow = new Array(header.length).fill("");
       timerRow[1] = "TIMER";
-      timerRow[header.length - 1] = formatTimeMMSS(timerSeconds || 0);
+      timerRow[timeCol] = formatTimeMMSS(timerSeconds || 0);
       rows.push(timerRow);
 
-      const csv = rows.map(r => r.join(";")).join("\n");
-      const blob = new Blob([csv], { type: "text/csv" });
-      const a = document.createElement("a");
-      a.href = URL.createObjectURL(blob);
-      a.download = "stats.csv";
-      a.click();
-      URL.revokeObjectURL(a.href);
+      // per period: shots / goals "for vs against" in the Shot / Goals columns
+      const shotCol = header.indexOf("Shot");
+      const goalsCol = header.indexOf("Goals");
+      computePeriodBreakdown().forEach(b => {
+        const periodRow = new Array(header.length).fill("");
+        periodRow[1] = `Periode ${periodLabel(b.period)}`;
+        periodRow[shotCol] = `${b.shotsFor} vs ${b.shotsAgainst}`;
+        periodRow[goalsCol] = `${b.goalsFor} vs ${b.goalsAgainst}`;
+        rows.push(periodRow);
+      });
+
+      downloadCsv(rows, "stats.csv");
     } catch (e) {
       console.error("Export Stats CSV failed:", e);
       alert("Fehler beim Exportieren (siehe Konsole).");
     }
   }
 
+  // --- Export season table to CSV (same column names as importSeasonCSVFromText expects) ---
+  function exportSeasonCSV() {
+    try {
+      const names = Object.keys(seasonData || {});
+      if (names.length === 0) {
+        alert("Keine Season-Daten vorhanden.");
+        return;
+      }
+      const header = [
+        "Nr", "Spieler", "Games", "Goals", "Assists", "+/-", "Shots", "Penalty", "Goal Value",
+        "FaceOffs", "FaceOffs Won", "Time", "Shifts", "PP Pts", "SH Pts",
+        "G Games", "Shots Against", "Saves", "Goals Against", "Shutouts"
+      ];
+      const rows = [header];
+      names
+        .sort((a, b) => String(a).localeCompare(String(b)))
+        .forEach(name => {
+          const d = seasonData[name] || {};
+          const n = (f) => String(Number(d[f] || 0));
+          rows.push([
+            d.num || "", name, n("games"), n("goals"), n("assists"), n("plusMinus"), n("shots"), n("penaltys"), n("goalValue"),
+            n("faceOffs"), n("faceOffsWon"), formatTimeMMSS(Number(d.timeSeconds || 0)), n("shifts"), n("ppPoints"), n("shPoints"),
+            n("goalieGames"), n("shotsAgainst"), n("saves"), n("goalsAgainst"), n("shutouts")
+          ]);
+        });
+      downloadCsv(rows, "season.csv");
+    } catch (e) {
+      console.error("Export Season CSV failed:", e);
+      alert("Fehler beim Exportieren (siehe Konsole).");
+    }
+  }
+  if (exportSeasonBtn) exportSeasonBtn.addEventListener("click", exportSeasonCSV);
+
+  // --- Backup / Restore: all app data (every team / season workspace) as one versioned JSON file ---
+  const BACKUP_FORMAT = "spielerstatistik-backup";
+  const BACKUP_VERSION = 2;
+  // stored as plain strings, everything else is JSON
+  const backupRawKeys = ["timerSeconds", "goalZoneLayout", "teamName", "currentPage"];
+  const backupArrayKeys = ["selectedPlayers", "roster", "seasonGames", "seasonMapGames", "seasonMapMarkers", "goalMapMarkers", "gameEvents", "penalties", "goalValueOpponents", "goalValueBottom", "rinkZones"];
+  const backupObjectKeys = [
+    "statsData", "playerTimes", "playerShifts", "iceTimers", "seasonData", "seasonBase", "seasonMapTimeData", "timeData",
+    "goalValueData", "strengthState", "opponentStats", "lines", "clockSettings", "clockState", "currentGame", "seasonMapFilter", "seasonMapView"
+  ];
+  const backupKeys = [...backupRawKeys, ...backupArrayKeys, ...backupObjectKeys];
+
+  // migrations[v] upgrades backup data from version v to v + 1
+  const backupMigrations = {
+    // version 0: plain localStorage dump (e.g. JSON.stringify(localStorage)) with string values
+    0: (data) => {
+      const out = {};
+      Object.keys(data).forEach(key => {
+        const val = data[key];
+        if (backupRawKeys.includes(key) || typeof val !== "string") { out[key] = val; return; }
+        try { out[key] = JSON.parse(val); } catch (e) { out[key] = val; }
+      });
+      // dumps from before game records: totals become the season base
+      if (!Array.isArray(out.seasonGames)) {
+        out.seasonGames = [];
+        out.seasonBase = JSON.parse(JSON.stringify(out.seasonData || {}));
+      }
+      return out;
+    },
+    // version 1: data of a single workspace -> version 2: { workspaces, activeWorkspace, stores: { id: data } }
+    1: (data) => ({
+      workspaces: [{ id: "default", name: "Standard" }],
+      activeWorkspace: "default",
+      stores: { default: data }
+    })
+  };
+
+  // global like the workspace list: one backup covers all workspaces
+  function getBackupMeta() {
+    try {
+      const raw = localStorage.getItem("backupMeta");
+      if (raw) return Object.assign({ lastBackupAt: "", gamesSinceBackup: 0, reminderGames: 5 }, JSON.parse(raw));
+    } catch (e) {}
+    return { lastBackupAt: "", gamesSinceBackup: 0, reminderGames: 5 };
+  }
+  function setBackupMeta(obj) { localStorage.setItem("backupMeta", JSON.stringify(obj)); }
+
+  function createBackup() {
+    persistAllState();
+    const workspaces = getWorkspaces();
+    const stores = {};
+    workspaces.forEach(w => {
+      const st = createWorkspaceStorage(w.id);
+      const data = {};
+      backupKeys.forEach(key => {
+        const raw = st.getItem(key);
+        if (raw === null) return;
+        if (backupRawKeys.includes(key)) { data[key] = raw; return; }
+        try { data[key] = JSON.parse(raw); } catch (e) { /* corrupt value is not backed up */ }
+      });
+      stores[w.id] = data;
+    });
+    const data = { workspaces, activeWorkspace: getActiveWorkspaceId(), stores };
+    return { format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt: new Date().toISOString(), data };
+  }
+
+  // type check of one workspace's keys; returns the invalid key names
+  function invalidBackupKeys(store) {
+    if (!store || typeof store !== "object" || Array.isArray(store)) return ["(keine Daten)"];
+    return backupKeys.filter(key => {
+      if (!(key in store)) return false;
+      const val = store[key];
+      if (backupRawKeys.includes(key)) return typeof val !== "string" && typeof val !== "number";
+      if (backupArrayKeys.includes(key)) return !Array.isArray(val);
+      return !val || typeof val !== "object" || Array.isArray(val);
+    });
+  }
+
+  function downloadBackup() {
+    const backup = createBackup();
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: "application/json" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = `spielerstatistik-backup-${backup.createdAt.slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+    setBackupMeta(Object.assign(getBackupMeta(), { lastBackupAt: backup.createdAt, gamesSinceBackup: 0 }));
+  }
+
+  // returns { data, version } or throws with a message for the user
+  function readBackup(text) {
+    let obj;
+    try { obj = JSON.parse(text); } catch (e) { throw new Error("Keine gültige JSON-Datei."); }
+    if (!obj || typeof obj !== "object" || Array.isArray(obj)) throw new Error("Unbekanntes Dateiformat.");
+
+    let version = 0;
+    let data = obj;
+    if (obj.format === BACKUP_FORMAT) {
+      version = Number(obj.version);
+      data = obj.data;
+      if (!Number.isInteger(version) || version < 0) throw new Error("Ungültige Backup-Version.");
+      if (version > BACKUP_VERSION) throw new Error(`Backup-Version ${version} ist neuer als diese App (${BACKUP_VERSION}).`);
+      if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("Backup enthält keine Daten.");
+    }
+    // versions before 2 hold the keys of one workspace directly
+    if (version < 2 && !backupKeys.some(key => key in data)) throw new Error("Backup enthält keine bekannten Daten.");
+
+    for (let v = version; v < BACKUP_VERSION; v++) data = backupMigrations[v](data);
+
+    const workspaces = data.workspaces;
+    if (!Array.isArray(workspaces) || !workspaces.length ||
+        workspaces.some(w => !w || typeof w.id !== "string" || !w.id || typeof w.name !== "string") ||
+        new Set(workspaces.map(w => w.id)).size !== workspaces.length) {
+      throw new Error("Ungültige Liste der Teams/Saisons.");
+    }
+    if (!data.stores || typeof data.stores !== "object") throw new Error("Backup enthält keine Daten.");
+    const errors = [];
+    workspaces.forEach(w => {
+      invalidBackupKeys(data.stores[w.id] || {}).forEach(key => errors.push(`${w.name}: ${key}`));
+    });
+    if (errors.length) throw new Error(`Ungültige Werte: ${errors.join(", ")}`);
+    if (!workspaces.some(w => w.id === data.activeWorkspace)) data.activeWorkspace = workspaces[0].id;
+    return { data, version };
+  }
+
+  let skipPersistOnUnload = false;
+
+  function restoreBackupFromText(text) {
+    let backup;
+    try {
+      backup = readBackup(text);
+    } catch (e) {
+      alert(`Backup konnte nicht gelesen werden: ${e.message}`);
+      return;
+    }
+    const { workspaces, activeWorkspace, stores } = backup.data;
+    const gameCount = workspaces.reduce((sum, w) => sum + ((stores[w.id] || {}).seasonGames || []).length, 0);
+    const markerNote = document.querySelector("#torbildPage .marker-dot") ? " Auch die Marker der Goal Map werden ersetzt." : "";
+    if (!confirm(`Backup wiederherstellen (${workspaces.length} Teams/Saisons, ${gameCount} Spiele)? Alle aktuellen Daten aller Teams/Saisons werden ersetzt.${markerNote}`)) return;
+    getWorkspaces().forEach(w => {
+      const st = createWorkspaceStorage(w.id);
+      backupKeys.forEach(key => st.removeItem(key));
+    });
+    workspaces.forEach(w => {
+      const st = createWorkspaceStorage(w.id);
+      const store = stores[w.id] || {};
+      Object.keys(store).forEach(key => {
+        if (!backupKeys.includes(key)) return;
+        const val = store[key];
+        st.setItem(key, backupRawKeys.includes(key) ? String(val) : JSON.stringify(val));
+      });
+    });
+    setWorkspaces(workspaces.map(w => ({ id: w.id, name: w.name })));
+    localStorage.setItem("activeWorkspace", activeWorkspace);
+    setBackupMeta(Object.assign(getBackupMeta(), { gamesSinceBackup: 0 }));
+    // state lives in memory: reload instead of saving it back over the restored data
+    skipPersistOnUnload = true;
+    location.reload();
+  }
+
+  const backupFileInput = document.createElement("input");
+  backupFileInput.type = "file";
+  backupFileInput.accept = ".json,application/json";
+  backupFileInput.style.display = "none";
+  document.body.appendChild(backupFileInput);
+  backupFileInput.addEventListener("change", () => {
+    const file = backupFileInput.files && backupFileInput.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      backupFileInput.value = "";
+      restoreBackupFromText(String(e.target.result || ""));
+    };
+    reader.readAsText(file, "utf-8");
+  });
+
+  function openBackupDialog() {
+    const meta = getBackupMeta();
+    const form = document.createElement("div");
+    form.className = "modal-form";
+    const info = document.createElement("p");
+    info.className = "backup-info";
+    info.textContent = meta.lastBackupAt
+      ? `Letztes Backup: ${new Date(meta.lastBackupAt).toLocaleString()} · ${meta.gamesSinceBackup} Spiele seitdem`
+      : "Noch kein Backup erstellt.";
+    form.appendChild(info);
+    const reminderInput = document.createElement("input");
+    reminderInput.type = "number";
+    reminderInput.min = "0";
+    reminderInput.value = String(meta.reminderGames);
+    reminderInput.addEventListener("change", () => {
+      setBackupMeta(Object.assign(getBackupMeta(), { reminderGames: Math.max(0, Number(reminderInput.value) || 0) }));
+    });
+    form.appendChild(createFormField("Erinnern nach Spielen (0 = nie)", reminderInput));
+
+    openModal({
+      title: "Backup (alle Teams/Saisons)",
+      content: form,
+      buttons: [
+        { label: "Schließen" },
+        { label: "Wiederherstellen…", className: "import-csv-btn", onClick: () => backupFileInput.click() },
+        { label: "Backup herunterladen", className: "export-csv", onClick: downloadBackup }
+      ]
+    });
+  }
+  document.getElementById("backupBtn")?.addEventListener("click", openBackupDialog);
+
+  // --- Workspace switcher (stats page top bar) ---
+  const workspaceSelect = document.getElementById("workspaceSelect");
+
+  function renderWorkspaceSelect() {
+    if (!workspaceSelect) return;
+    workspaceSelect.innerHTML = "";
+    getWorkspaces().forEach(w => {
+      const o = document.createElement("option");
+      o.value = w.id;
+      o.textContent = w.name;
+      workspaceSelect.appendChild(o);
+    });
+    const addOpt = document.createElement("option");
+    addOpt.value = "__new";
+    addOpt.textContent = "+ Neues Team / Saison…";
+    workspaceSelect.appendChild(addOpt);
+    workspaceSelect.value = getActiveWorkspaceId();
+  }
+
+  // state of the current workspace (incl. Goal Map markers) is written by the unload handler, then the new one loads.
+  // Running clocks are paused: their wall-clock catch-up would count the time spent elsewhere.
+  function switchWorkspace(id) {
+    if (clockState.running) {
+      syncGameClock();
+      stopTimer();
+    }
+    Object.keys(iceTimers).forEach(name => stopIceTimer(name));
+    localStorage.setItem("activeWorkspace", id);
+    location.reload();
+  }
+
+  function openNewWorkspaceDialog() {
+    const workspaces = getWorkspaces();
+    const form = document.createElement("div");
+    form.className = "modal-form";
+    const nameInput = document.createElement("input");
+    nameInput.type = "text";
+    nameInput.placeholder = "z.B. U17 2026/27";
+    const sourceSelect = createSelect(workspaces.map(w => ({ value: w.id, label: w.name })), getActiveWorkspaceId());
+    const rosterCheck = document.createElement("input");
+    rosterCheck.type = "checkbox";
+    rosterCheck.checked = true;
+    const opponentsCheck = document.createElement("input");
+    opponentsCheck.type = "checkbox";
+    opponentsCheck.checked = true;
+    form.appendChild(createFormField("Name", nameInput));
+    form.appendChild(createFormField("Übernehmen aus", sourceSelect));
+    form.appendChild(createFormField("Roster übernehmen", rosterCheck));
+    form.appendChild(createFormField("Goal Value Gegner übernehmen", opponentsCheck));
+
+    openModal({
+      title: "Neues Team / Saison",
+      content: form,
+      buttons: [
+        { label: "Abbrechen", onClick: () => { workspaceSelect.value = getActiveWorkspaceId(); } },
+        {
+          label: "Anlegen",
+          onClick: () => {
+            const name = nameInput.value.trim();
+            if (!name) { alert("Bitte einen Namen eintragen."); return false; }
+            if (workspaces.some(w => w.name.toLowerCase() === name.toLowerCase())) { alert("Dieser Name existiert bereits."); return false; }
+            const id = "w" + Date.now().toString(36);
+            const source = sourceSelect.value === getActiveWorkspaceId() ? storage : createWorkspaceStorage(sourceSelect.value);
+            const target = createWorkspaceStorage(id);
+            if (sourceSelect.value === getActiveWorkspaceId()) persistAllState();
+            const copyKeys = [];
+            // team name belongs to the roster: same team, new season
+            if (rosterCheck.checked) copyKeys.push("roster", "teamName");
+            // opponent names and their weights (bottom row) belong together
+            if (opponentsCheck.checked) copyKeys.push("goalValueOpponents", "goalValueBottom");
+            copyKeys.forEach(key => {
+              const raw = source.getItem(key);
+              if (raw !== null) target.setItem(key, raw);
+            });
+            setWorkspaces(workspaces.concat({ id, name }));
+            switchWorkspace(id);
+          }
+        }
+      ]
+    });
+  }
+
+  if (workspaceSelect) {
+    renderWorkspaceSelect();
+    workspaceSelect.addEventListener("change", () => {
+      if (workspaceSelect.value === "__new") openNewWorkspaceDialog();
+      else if (workspaceSelect.value !== getActiveWorkspaceId()) switchWorkspace(workspaceSelect.value);
+    });
+  }
+
+  // called after a new game went into the season
+  function remindBackupIfDue() {
+    const meta = getBackupMeta();
+    meta.gamesSinceBackup = Number(meta.gamesSinceBackup || 0) + 1;
+    setBackupMeta(meta);
+    if (meta.reminderGames > 0 && meta.gamesSinceBackup >= meta.reminderGames &&
+        confirm(`Seit ${meta.gamesSinceBackup} Spielen kein Backup. Jetzt Backup herunterladen?`)) {
+      downloadBackup();
+    }
+  }
+
   // Attach export handler to exportBtn (Game Data page)
   document.getElementById("exportBtn")?.addEventListener("click", exportStatsCSV);
 
@@ -1236,7 +3476,7 @@ document.addEventListener("DOMContentLoaded", () => {
       "Nr", "Spieler", "Games",
       "Goals", "Assists", "Points", "+/-", "Ø +/-",
       "Shots", "Shots/Game", "Goals/Game", "Points/Game",
-      "Penalty", "Goal Value", "FaceOffs", "FaceOffs Won", "FaceOffs %", "Time",
+      "Penalty", "Goal Value", "FaceOffs", "FaceOffs Won", "FaceOffs %", "Time", "xG", "PP Pts", "SH Pts",
       "MVP", "MVP Points"
     ];
 
@@ -1267,6 +3507,7 @@ document.addEventListener("DOMContentLoaded", () => {
     const tbody = document.createElement("tbody");
 
     try { ensureGoalValueDataForSeason(); } catch (e) {}
+    const xgByPlayer = computeSeasonXgByPlayer();
 
     const rows = Object.keys(seasonData).map(name => {
       const d = seasonData[name];
@@ -1331,6 +3572,9 @@ document.addEventListener("DOMContentLoaded", () => {
         faceOffsWon,
         `${faceOffPercent}%`,
         formatTimeMMSS(timeSeconds),
+        formatXg(xgByPlayer[d.name] || 0),
+        Number(d.ppPoints || 0),
+        Number(d.shPoints || 0),
         "", // MVP placeholder
         ""  // MVP Points placeholder
       ];
@@ -1339,7 +3583,7 @@ document.addEventListener("DOMContentLoaded", () => {
         name: d.name,
         num: d.num || "",
         cells,
-        raw: { games, goals, assists, points, plusMinus, shots, penalty, faceOffs, faceOffsWon, faceOffPercent, timeSeconds, goalValue },
+        raw: { games, goals, assists, points, plusMinus, shots, penalty, faceOffs, faceOffsWon, faceOffPercent, timeSeconds, goalValue, xg: xgByPlayer[d.name] || 0, ppPoints: Number(d.ppPoints || 0), shPoints: Number(d.shPoints || 0) },
         mvpPointsRounded
       };
     });
@@ -1397,7 +3641,7 @@ document.addEventListener("DOMContentLoaded", () => {
     if (count > 0) {
       const sums = {
         games: 0, goals: 0, assists: 0, points: 0, plusMinus: 0,
-        shots: 0, penalty: 0, faceOffs: 0, faceOffsWon: 0, timeSeconds: 0
+        shots: 0, penalty: 0, faceOffs: 0, faceOffsWon: 0, timeSeconds: 0, xg: 0, ppPoints: 0, shPoints: 0
       };
       rows.forEach(r => {
         const rs = r.raw;
@@ -1411,6 +3655,9 @@ document.addEventListener("DOMContentLoaded", () => {
         sums.faceOffs += rs.faceOffs;
         sums.faceOffsWon += rs.faceOffsWon;
         sums.timeSeconds += rs.timeSeconds;
+        sums.xg += rs.xg;
+        sums.ppPoints += rs.ppPoints;
+        sums.shPoints += rs.shPoints;
       });
 
       const avgGames = sums.games / count;
@@ -1443,6 +3690,9 @@ document.addEventListener("DOMContentLoaded", () => {
       totalCells[15] = Number((avgFaceOffsWon).toFixed(1));
       totalCells[16] = `${avgFaceOffPercent}%`;
       totalCells[17] = formatTimeMMSS(avgTimeSeconds);
+      totalCells[18] = formatXg(sums.xg / count);
+      totalCells[19] = Number((sums.ppPoints / count).toFixed(1));
+      totalCells[20] = Number((sums.shPoints / count).toFixed(1));
       // MVP & MVP Points left empty
 
       const trTotal = document.createElement("tr");
@@ -1476,6 +3726,8 @@ document.addEventListener("DOMContentLoaded", () => {
 
     table.appendChild(tbody);
     container.appendChild(table);
+    renderSeasonSpecialTeams(container);
+    renderSeasonGoalieSection(container);
 
     function updateSortUI() {
       const ths = table.querySelectorAll("th.sortable");
@@ -1504,6 +3756,79 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  // --- Season special teams: PP% / PK% over all game records ---
+  function renderSeasonSpecialTeams(container) {
+    const sum = { ppOpportunities: 0, ppGoals: 0, timesShorthanded: 0, ppGoalsAgainst: 0 };
+    seasonGames.forEach(g => Object.keys(sum).forEach(k => { sum[k] += Number(g.specialTeams?.[k] || 0); }));
+    if (!sum.ppOpportunities && !sum.timesShorthanded) return;
+    const killed = sum.timesShorthanded - sum.ppGoalsAgainst;
+    const div = document.createElement("div");
+    div.className = "season-special-teams";
+    div.textContent = `PP%: ${formatPercentShare(sum.ppGoals, sum.ppOpportunities)} (${sum.ppGoals}/${sum.ppOpportunities}) · ` +
+      `PK%: ${formatPercentShare(killed, sum.timesShorthanded)} (${killed}/${sum.timesShorthanded})`;
+    container.appendChild(div);
+  }
+
+  // --- Season goalie section: SV%, GAA (per 60 min ice time) and shutouts ---
+  function renderSeasonGoalieSection(container) {
+    const goalies = Object.keys(seasonData)
+      .map(name => seasonData[name])
+      .filter(d => isGoaliePlayer(d.name) || Number(d.goalieGames || 0) > 0 || Number(d.shotsAgainst || 0) > 0);
+    if (!goalies.length) return;
+
+    const title = document.createElement("h2");
+    title.className = "season-goalie-title";
+    title.textContent = "Goalies";
+    container.appendChild(title);
+
+    const table = createStyledTable();
+    table.classList.add("goalie-table");
+    const thead = document.createElement("thead");
+    const headerRow = document.createElement("tr");
+    ["Nr", "Goalie", "Games", "Shots Against", "Saves", "Goals Against", "SV%", "GAA", "Shutouts", "Time"].forEach(h => {
+      const th = document.createElement("th");
+      th.textContent = h;
+      headerRow.appendChild(th);
+    });
+    applyHeaderStyle(headerRow.children);
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement("tbody");
+    goalies
+      .slice()
+      .sort((a, b) => Number(b.goalieGames || 0) - Number(a.goalieGames || 0))
+      .forEach(d => {
+        const gp = Number(d.goalieGames || 0);
+        const saves = Number(d.saves || 0);
+        const goalsAgainst = Number(d.goalsAgainst || 0);
+        const shotsAgainst = Number(d.shotsAgainst || 0) || (saves + goalsAgainst);
+        const timeSeconds = Number(d.timeSeconds || 0);
+        // without recorded ice time GAA falls back to goals against per game
+        const gaa = timeSeconds ? (goalsAgainst * 3600 / timeSeconds) : (gp ? goalsAgainst / gp : 0);
+        const tr = document.createElement("tr");
+        [
+          d.num || "",
+          d.name,
+          gp,
+          shotsAgainst,
+          saves,
+          goalsAgainst,
+          formatSavePct(saves, shotsAgainst),
+          gaa.toFixed(2),
+          Number(d.shutouts || 0),
+          formatTimeMMSS(timeSeconds)
+        ].forEach(c => {
+          const td = document.createElement("td");
+          td.textContent = c;
+          tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+      });
+    table.appendChild(tbody);
+    container.appendChild(table);
+  }
+
   // --- Render stats table (full) with totals styled like season header ---
   function renderStatsTable() {
     if (!statsContainer) return;
@@ -1519,7 +3844,7 @@ document.addEventListener("DOMContentLoaded", () => {
 
     const thead = document.createElement("thead");
     const headerRow = document.createElement("tr");
-    headerRow.innerHTML = `<th>#</th><th>Spieler</th>` + categories.map(c => `<th>${escapeHtml(c)}</th>`).join("") + `<th>Time</th>`;
+    headerRow.innerHTML = `<th>#</th><th>Spieler</th>` + categories.map(c => `<th>${escapeHtml(c)}</th>`).join("") + `<th>Time</th><th>Shifts</th><th>Ø Shift</th>`;
     thead.appendChild(headerRow);
     table.appendChild(thead);
 
@@ -1554,7 +3879,7 @@ document.addEventListener("DOMContentLoaded", () => {
         const [item] = selectedPlayers.splice(draggedIndex, 1);
         const adjustedIndex = (draggedIndex < dropIndex) ? dropIndex : dropIndex;
         selectedPlayers.splice(adjustedIndex, 0, item);
-        localStorage.setItem("selectedPlayers", JSON.stringify(selectedPlayers));
+        storage.setItem("selectedPlayers", JSON.stringify(selectedPlayers));
         renderStatsTable();
       } catch (err) {
         console.warn("Drop failed:", err);
@@ -1562,6 +3887,7 @@ document.addEventListener("DOMContentLoaded", () => {
     });
 
     selectedPlayers.forEach((p, idx) => {
+      if (isGoaliePlayer(p.name)) return;
       const tr = document.createElement("tr");
       tr.classList.add(idx % 2 === 0 ? "even-row" : "odd-row");
       tr.dataset.index = String(idx);
@@ -1590,6 +3916,10 @@ document.addEventListener("DOMContentLoaded", () => {
       const nameTd = document.createElement("td");
       nameTd.style.cssText = "text-align:left;padding-left:12px;cursor:pointer;white-space:nowrap;";
       nameTd.innerHTML = `<strong>${escapeHtml(p.name)}</strong>`;
+      if (iceTimers[p.name]) {
+        nameTd.style.backgroundColor = "#005c2f";
+        tr.style.backgroundColor = "#005c2f";
+      }
       tr.appendChild(nameTd);
 
       categories.forEach(c => {
@@ -1606,159 +3936,1370 @@ document.addEventListener("DOMContentLoaded", () => {
         tr.appendChild(td);
       });
 
-      const iceTd = document.createElement("td");
-      iceTd.className = "ice-time-cell";
-      iceTd.dataset.player = p.name;
-      const seconds = playerTimes[p.name] || 0;
-      const m = String(Math.floor(seconds / 60)).padStart(2,"0");
-      const s = String(seconds % 60).padStart(2,"0");
-      iceTd.textContent = `${m}:${s}`;
-      tr.appendChild(iceTd);
+      const iceTd = document.createElement("td");
+      iceTd.className = "ice-time-cell";
+      iceTd.dataset.player = p.name;
+      const seconds = playerTimes[p.name] || 0;
+      const m = String(Math.floor(seconds / 60)).padStart(2,"0");
+      const s = String(seconds % 60).padStart(2,"0");
+      iceTd.textContent = `${m}:${s}`;
+      tr.appendChild(iceTd);
+
+      const shiftTd = document.createElement("td");
+      shiftTd.className = "shift-count-cell";
+      shiftTd.dataset.shiftPlayer = p.name;
+      tr.appendChild(shiftTd);
+      const shiftAvgTd = document.createElement("td");
+      shiftAvgTd.className = "shift-avg-cell";
+      shiftAvgTd.dataset.shiftPlayer = p.name;
+      tr.appendChild(shiftAvgTd);
+      updateShiftCells(p.name, tr);
+
+      (function(nameCell, playerName, rowEl) {
+        const LONG_DRAG_MS = 500;
+        let holdTimer = null;
+        let suppressClick = false;
+
+        function enableDragVisual() {
+          rowEl.draggable = true;
+          rowEl.classList.add("drag-enabled");
+          rowEl.style.cursor = "grabbing";
+          rowEl.style.outline = "2px dashed rgba(0,0,0,0.08)";
+        }
+
+        nameCell.addEventListener("mousedown", (ev) => {
+          if (holdTimer) clearTimeout(holdTimer);
+          holdTimer = setTimeout(() => {
+            suppressClick = true;
+            enableDragVisual();
+          }, LONG_DRAG_MS);
+        });
+        nameCell.addEventListener("mouseup", () => { if (holdTimer) { clearTimeout(holdTimer); holdTimer = null; } });
+        nameCell.addEventListener("mouseleave", () => { if (holdTimer) { clearTimeout(holdTimer); holdTimer = null; } });
+
+        nameCell.addEventListener("touchstart", (ev) => {
+          if (holdTimer) clearTimeout(holdTimer);
+          holdTimer = setTimeout(() => {
+            suppressClick = true;
+            enableDragVisual();
+          }, LONG_DRAG_MS);
+        }, { passive: true });
+        nameCell.addEventListener("touchend", () => { if (holdTimer) { clearTimeout(holdTimer); holdTimer = null; } }, { passive: true });
+
+        nameCell.addEventListener("click", (ev) => {
+          if (suppressClick) { suppressClick = false; return; }
+          toggleIceTimer(playerName);
+        });
+      })(nameTd, p.name, tr);
+
+      tbody.appendChild(tr);
+    });
+
+    const totalsRow = document.createElement("tr");
+    totalsRow.id = "totalsRow";
+    const tdEmpty = document.createElement("td"); tdEmpty.textContent = "";
+    const tdTotalLabel = document.createElement("td"); tdTotalLabel.textContent = `Total (${selectedPlayers.filter(p => !isGoaliePlayer(p.name)).length})`;
+    totalsRow.appendChild(tdEmpty);
+    totalsRow.appendChild(tdTotalLabel);
+    categories.forEach(c => {
+      const td = document.createElement("td");
+      td.className = "total-cell";
+      td.dataset.cat = c;
+      td.textContent = "0";
+      totalsRow.appendChild(td);
+    });
+    const tdTimeTotal = document.createElement("td");
+    tdTimeTotal.className = "total-cell";
+    tdTimeTotal.dataset.cat = "Time";
+    tdTimeTotal.textContent = "";
+    totalsRow.appendChild(tdTimeTotal);
+    ["Shifts", "ShiftAvg"].forEach(cat => {
+      const td = document.createElement("td");
+      td.className = "total-cell";
+      td.dataset.cat = cat;
+      totalsRow.appendChild(td);
+    });
+
+    const headerBg = headerBgColor;
+    const headerColor = headerTextColor;
+    Array.from(totalsRow.children).forEach(td => {
+      td.style.background = headerBg;
+      td.style.color = headerColor;
+      td.style.fontWeight = "700";
+      td.style.padding = "8px";
+    });
+
+    tbody.appendChild(totalsRow);
+
+    table.appendChild(tbody);
+    statsContainer.appendChild(table);
+
+    statsContainer.querySelectorAll("td[data-player]").forEach(td => {
+      let clickTimeout = null;
+      td.addEventListener("click", (e) => {
+        if (clickTimeout) clearTimeout(clickTimeout);
+        clickTimeout = setTimeout(() => {
+          changeValue(td, 1);
+          clickTimeout = null;
+        }, 200);
+      });
+      td.addEventListener("dblclick", (e) => {
+        e.preventDefault();
+        if (clickTimeout) { clearTimeout(clickTimeout); clickTimeout = null; }
+        changeValue(td, -1);
+      });
+    });
+
+    renderGoalieTable();
+    renderPeriodSummary();
+    renderLineBar();
+    updateIceTimeColors();
+    updateTotals();
+  }
+
+  // --- ice time timer per player (skaters and goalies) ---
+  // Times are derived from wall clock timestamps; the interval only refreshes the display,
+  // so throttled or suspended timers (background tab, locked phone) catch up on the next sync.
+  function saveIceTimers() { storage.setItem("iceTimers", JSON.stringify(iceTimers)); }
+
+  function updateIceTimeCell(playerName) {
+    const cell = statsContainer?.querySelector(`.ice-time-cell[data-player="${CSS.escape(playerName)}"]`);
+    if (cell) cell.textContent = formatTimeMMSS(playerTimes[playerName] || 0);
+  }
+
+  function syncIceTimers() {
+    const now = Date.now();
+    let changed = false;
+    Object.keys(iceTimers).forEach(name => {
+      const secs = Math.floor((now - iceTimers[name]) / 1000);
+      if (secs <= 0) return;
+      playerTimes[name] = (playerTimes[name] || 0) + secs;
+      iceTimers[name] += secs * 1000;
+      updateIceTimeCell(name);
+      updateShiftCells(name);
+      changed = true;
+    });
+    if (!changed) return;
+    storage.setItem("playerTimes", JSON.stringify(playerTimes));
+    saveIceTimers();
+    updateIceTimeColors();
+  }
+
+  function ensureIceTimerLoop() {
+    const anyRunning = Object.keys(iceTimers).length > 0;
+    if (anyRunning && !iceTimerInterval) iceTimerInterval = setInterval(syncIceTimers, 250);
+    if (!anyRunning && iceTimerInterval) { clearInterval(iceTimerInterval); iceTimerInterval = null; }
+  }
+
+  function setIceTimerHighlight(playerName, on) {
+    const rowEl = statsContainer?.querySelector(`tr[data-player="${CSS.escape(playerName)}"]`);
+    if (!rowEl) return;
+    const nameCell = rowEl.children[1];
+    rowEl.style.backgroundColor = on ? "#005c2f" : "";
+    if (nameCell) nameCell.style.backgroundColor = on ? "#005c2f" : "";
+  }
+
+  function startIceTimer(playerName) {
+    if (iceTimers[playerName]) return;
+    iceTimers[playerName] = Date.now();
+    playerShifts[playerName] = Number(playerShifts[playerName] || 0) + 1;
+    storage.setItem("playerShifts", JSON.stringify(playerShifts));
+    saveIceTimers();
+    ensureIceTimerLoop();
+    setIceTimerHighlight(playerName, true);
+    updateShiftCells(playerName);
+    updateTotals();
+  }
+
+  function stopIceTimer(playerName) {
+    if (!iceTimers[playerName]) return;
+    syncIceTimers();
+    // round the started second instead of dropping it
+    if (Date.now() - iceTimers[playerName] >= 500) {
+      playerTimes[playerName] = (playerTimes[playerName] || 0) + 1;
+      storage.setItem("playerTimes", JSON.stringify(playerTimes));
+      updateIceTimeCell(playerName);
+      updateIceTimeColors();
+    }
+    delete iceTimers[playerName];
+    saveIceTimers();
+    ensureIceTimerLoop();
+    setIceTimerHighlight(playerName, false);
+    updateShiftCells(playerName);
+    updateTotals();
+  }
+
+  function toggleIceTimer(playerName) {
+    if (iceTimers[playerName]) stopIceTimer(playerName);
+    else startIceTimer(playerName);
+    renderLineBar();
+  }
+
+  function updateShiftCells(playerName, rowEl = null) {
+    const root = rowEl || statsContainer;
+    if (!root) return;
+    const shifts = Number(playerShifts[playerName] || 0);
+    const countCell = root.querySelector(`.shift-count-cell[data-shift-player="${CSS.escape(playerName)}"]`);
+    const avgCell = root.querySelector(`.shift-avg-cell[data-shift-player="${CSS.escape(playerName)}"]`);
+    if (countCell) countCell.textContent = shifts;
+    if (avgCell) avgCell.textContent = shifts ? formatTimeMMSS(Math.round((playerTimes[playerName] || 0) / shifts)) : "";
+  }
+
+  // --- Lines: forward lines and defence pairs, one tap = line change ---
+  const LINE_SLOTS = { forwards: { count: 4, size: 3, prefix: "F" }, defence: { count: 3, size: 2, prefix: "D" } };
+
+  function getLines() {
+    const lines = { forwards: [], defence: [] };
+    try {
+      const raw = storage.getItem("lines");
+      if (raw) Object.assign(lines, JSON.parse(raw));
+    } catch (e) {}
+    Object.keys(LINE_SLOTS).forEach(type => {
+      const { count, size } = LINE_SLOTS[type];
+      lines[type] = Array.from({ length: count }, (_, i) => {
+        const line = Array.isArray(lines[type][i]) ? lines[type][i].slice(0, size) : [];
+        while (line.length < size) line.push("");
+        return line;
+      });
+    });
+    return lines;
+  }
+  function setLines(obj) { storage.setItem("lines", JSON.stringify(obj)); }
+
+  function linePlayers(line) {
+    const selected = new Set(selectedPlayers.map(p => p.name));
+    return line.filter(name => name && selected.has(name));
+  }
+
+  function isLineOnIce(line) {
+    const names = linePlayers(line);
+    return names.length > 0 && names.every(n => iceTimers[n]);
+  }
+
+  // stops the players of the other lines of the same type, starts the tapped line;
+  // tapping the line that is on the ice sends it to the bench
+  function changeLine(type, index) {
+    const lines = getLines()[type];
+    const target = linePlayers(lines[index]);
+    if (!target.length) {
+      alert("Diese Linie ist leer. Linien unter \"Linien\" festlegen.");
+      return;
+    }
+    if (isLineOnIce(lines[index])) {
+      target.forEach(stopIceTimer);
+    } else {
+      lines.forEach((line, i) => {
+        if (i === index) return;
+        linePlayers(line).filter(n => !target.includes(n)).forEach(stopIceTimer);
+      });
+      target.forEach(startIceTimer);
+    }
+    renderLineBar();
+  }
+
+  function renderLineBar() {
+    const bar = document.getElementById("lineBar");
+    if (!bar) return;
+    bar.innerHTML = "";
+    const lines = getLines();
+    Object.keys(LINE_SLOTS).forEach(type => {
+      const group = document.createElement("div");
+      group.className = "line-group";
+      lines[type].forEach((line, idx) => {
+        const names = linePlayers(line);
+        if (!names.length) return;
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "top-btn line-btn";
+        if (isLineOnIce(line)) btn.classList.add("active");
+        btn.textContent = `${LINE_SLOTS[type].prefix}${idx + 1}`;
+        btn.title = names.map(n => {
+          const p = selectedPlayers.find(x => x.name === n);
+          return p && p.num ? `${p.num} ${n}` : n;
+        }).join(", ");
+        btn.addEventListener("click", () => changeLine(type, idx));
+        group.appendChild(btn);
+      });
+      if (group.children.length) bar.appendChild(group);
+    });
+    const editBtn = document.createElement("button");
+    editBtn.type = "button";
+    editBtn.className = "top-btn";
+    editBtn.textContent = "Linien";
+    editBtn.addEventListener("click", openLinesDialog);
+    bar.appendChild(editBtn);
+
+    const current = `${strengthState.own}v${strengthState.opp}`;
+    const options = strengthOptions.includes(current) ? strengthOptions : strengthOptions.concat(current);
+    const strengthSel = createSelect(options.map(v => ({ value: v, label: v })), current);
+    strengthSel.className = "strength-select";
+    strengthSel.setAttribute("aria-label", "Stärke");
+    strengthSel.addEventListener("change", () => setStrengthFromLabel(strengthSel.value));
+    bar.appendChild(strengthSel);
+
+    [["ownGoalieOut", "Goalie raus"], ["oppGoalieOut", "Gegner ohne Goalie"]].forEach(([key, label]) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "top-btn toggle-btn";
+      if (strengthState[key]) btn.classList.add("active");
+      btn.textContent = label;
+      btn.addEventListener("click", () => toggleGoalieOut(key));
+      bar.appendChild(btn);
+    });
+
+    const gaBtn = document.createElement("button");
+    gaBtn.type = "button";
+    gaBtn.className = "top-btn danger-btn";
+    gaBtn.textContent = "Gegentor";
+    gaBtn.addEventListener("click", logGoalAgainst);
+    bar.appendChild(gaBtn);
+  }
+
+  function openLinesDialog() {
+    const lines = getLines();
+    const skaterOptions = [{ value: "", label: "–" }, ...selectedPlayers
+      .filter(p => !isGoaliePlayer(p.name))
+      .map(p => ({ value: p.name, label: `${p.num ? p.num + " " : ""}${p.name}` }))];
+    const form = document.createElement("div");
+    form.className = "modal-form";
+    const selects = { forwards: [], defence: [] };
+    Object.keys(LINE_SLOTS).forEach(type => {
+      lines[type].forEach((line, idx) => {
+        const row = document.createElement("div");
+        row.className = "line-edit-row";
+        selects[type][idx] = line.map(name => {
+          const sel = createSelect(skaterOptions, name);
+          row.appendChild(sel);
+          return sel;
+        });
+        form.appendChild(createFormField(`${LINE_SLOTS[type].prefix}${idx + 1}`, row));
+      });
+    });
+
+    openModal({
+      title: "Linien",
+      content: form,
+      buttons: [
+        { label: "Abbrechen" },
+        {
+          label: "Speichern",
+          onClick: () => {
+            const next = {};
+            Object.keys(selects).forEach(type => {
+              next[type] = selects[type].map(row => row.map(sel => sel.value));
+            });
+            setLines(next);
+            renderLineBar();
+          }
+        }
+      ]
+    });
+  }
+
+  // --- Goalie stats: manual counters + tagged goal-net markers (Goal Map, goalRedBox) ---
+  function isGoaliePlayer(name) {
+    return findRosterPlayer(name)?.position === "G";
+  }
+
+  function getGoalNetGoalieCounts() {
+    const counts = {};
+    document.querySelectorAll("#torbildPage #goalRedBox .marker-dot").forEach(dot => {
+      const goalie = dot.dataset.goalie;
+      if (!goalie) return;
+      if (!counts[goalie]) counts[goalie] = { saves: 0, goalsAgainst: 0 };
+      if (dot.dataset.result === "saved") counts[goalie].saves++;
+      else if (dot.dataset.result === "goal") counts[goalie].goalsAgainst++;
+    });
+    return counts;
+  }
+
+  function computeGoalieLine(name, markerCounts = getGoalNetGoalieCounts()) {
+    const fromMarkers = markerCounts[name] || { saves: 0, goalsAgainst: 0 };
+    const saves = (Number(statsData[name]?.["Saves"]) || 0) + fromMarkers.saves;
+    const goalsAgainst = (Number(statsData[name]?.["Goals Against"]) || 0) + fromMarkers.goalsAgainst;
+    return {
+      saves,
+      goalsAgainst,
+      shotsAgainst: saves + goalsAgainst,
+      timeSeconds: Number(playerTimes[name] || 0),
+      fromMarkers
+    };
+  }
+
+  function formatSavePct(saves, shotsAgainst) {
+    return shotsAgainst ? `${((saves / shotsAgainst) * 100).toFixed(1)}%` : "-";
+  }
+
+  function renderGoalieTable() {
+    if (!statsContainer) return;
+    statsContainer.querySelector(".goalie-table")?.remove();
+    const goalies = selectedPlayers.filter(p => isGoaliePlayer(p.name));
+    if (!goalies.length) return;
+
+    const table = createStyledTable();
+    table.classList.add("goalie-table");
+    const thead = document.createElement("thead");
+    const headerRow = document.createElement("tr");
+    headerRow.innerHTML = `<th>#</th><th>Goalie</th><th>Shots Against</th>` +
+      goalieCategories.map(c => `<th>${escapeHtml(c)}</th>`).join("") + `<th>SV%</th><th>Time</th>`;
+    applyHeaderStyle(headerRow.querySelectorAll("th"));
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement("tbody");
+    const markerCounts = getGoalNetGoalieCounts();
+    goalies.forEach((p, idx) => {
+      const line = computeGoalieLine(p.name, markerCounts);
+      const tr = document.createElement("tr");
+      tr.classList.add(idx % 2 === 0 ? "even-row" : "odd-row");
+      tr.dataset.player = p.name;
+      tr.style.userSelect = "none";
+
+      const numTd = document.createElement("td");
+      numTd.innerHTML = `<strong>${escapeHtml(p.num || "-")}</strong>`;
+      tr.appendChild(numTd);
+
+      const nameTd = document.createElement("td");
+      nameTd.style.cssText = "text-align:left;padding-left:12px;cursor:pointer;white-space:nowrap;";
+      nameTd.innerHTML = `<strong>${escapeHtml(p.name)}</strong>`;
+      nameTd.addEventListener("click", () => toggleIceTimer(p.name));
+      if (iceTimers[p.name]) {
+        nameTd.style.backgroundColor = "#005c2f";
+        tr.style.backgroundColor = "#005c2f";
+      }
+      tr.appendChild(nameTd);
+
+      const saTd = document.createElement("td");
+      saTd.textContent = line.shotsAgainst;
+      tr.appendChild(saTd);
+
+      goalieCategories.forEach(c => {
+        const td = document.createElement("td");
+        const fromMarkers = c === "Saves" ? line.fromMarkers.saves : line.fromMarkers.goalsAgainst;
+        td.textContent = c === "Saves" ? line.saves : line.goalsAgainst;
+        if (fromMarkers) td.title = `davon ${fromMarkers} aus der Goal Map`;
+        td.style.cursor = "pointer";
+        let clickTimeout = null;
+        td.addEventListener("click", () => {
+          if (clickTimeout) clearTimeout(clickTimeout);
+          clickTimeout = setTimeout(() => {
+            changeGoalieValue(p.name, c, 1);
+            clickTimeout = null;
+          }, 200);
+        });
+        td.addEventListener("dblclick", (e) => {
+          e.preventDefault();
+          if (clickTimeout) { clearTimeout(clickTimeout); clickTimeout = null; }
+          changeGoalieValue(p.name, c, -1);
+        });
+        tr.appendChild(td);
+      });
+
+      const svTd = document.createElement("td");
+      svTd.textContent = formatSavePct(line.saves, line.shotsAgainst);
+      tr.appendChild(svTd);
+
+      const iceTd = document.createElement("td");
+      iceTd.className = "ice-time-cell goalie-time-cell";
+      iceTd.dataset.player = p.name;
+      iceTd.textContent = formatTimeMMSS(line.timeSeconds);
+      tr.appendChild(iceTd);
+
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    table.style.marginTop = "16px";
+    const summary = statsContainer.querySelector(".period-summary");
+    if (summary) statsContainer.insertBefore(table, summary);
+    else statsContainer.appendChild(table);
+  }
+
+  function changeGoalieValue(name, cat, delta) {
+    // goals against also drive the opponent line, +/- and penalties
+    if (cat === "Goals Against") { changeGoalsAgainst(getCurrentPeriod(), Math.trunc(delta), name); return; }
+    // the manual part may not go below zero; marker counts are changed on the Goal Map
+    const before = Number(statsData[name]?.[cat]) || 0;
+    const after = Math.max(0, Math.trunc(before + delta));
+    if (after === before) return;
+    setGoalieValue(name, cat, after);
+    const evt = recordGameEvent({ team: "against", player: name, cat, delta: after - before });
+    pushHistory({
+      label: `${cat} ${name}`,
+      undo: () => { setGoalieValue(name, cat, before); removeGameEvent(evt.id); },
+      redo: () => { setGoalieValue(name, cat, after); restoreGameEvent(evt); }
+    });
+  }
+
+  function setGoalieValue(name, cat, val) {
+    if (!statsData[name]) statsData[name] = {};
+    statsData[name][cat] = val;
+    storage.setItem("statsData", JSON.stringify(statsData));
+    renderGoalieTable();
+  }
+
+  // --- Undo/redo history (in memory, current session only) ---
+  // every entry: { scope ("stats" | "goalMap" | "goalValue"), label, undo(), redo() }; a new edit clears the redo stack
+  const HISTORY_LIMIT = 200;
+  let undoStack = [];
+  let redoStack = [];
+
+  function pushHistory(entry) {
+    if (!entry.scope) entry.scope = "stats";
+    undoStack.push(entry);
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack = [];
+    updateHistoryButtons();
+  }
+
+  function undoLast() {
+    const entry = undoStack.pop();
+    if (!entry) return;
+    try { entry.undo(); } catch (e) { console.warn("Undo failed:", e); }
+    redoStack.push(entry);
+    updateHistoryButtons();
+  }
+
+  function redoLast() {
+    const entry = redoStack.pop();
+    if (!entry) return;
+    try { entry.redo(); } catch (e) { console.warn("Redo failed:", e); }
+    undoStack.push(entry);
+    updateHistoryButtons();
+  }
+
+  // resets replace the data wholesale; older entries of that page would restore stale values
+  function clearHistory(scope) {
+    undoStack = scope ? undoStack.filter(e => e.scope !== scope) : [];
+    redoStack = scope ? redoStack.filter(e => e.scope !== scope) : [];
+    updateHistoryButtons();
+  }
+
+  function updateHistoryButtons() {
+    const lastUndo = undoStack[undoStack.length - 1];
+    const lastRedo = redoStack[redoStack.length - 1];
+    document.querySelectorAll(".undo-btn").forEach(btn => {
+      btn.disabled = !lastUndo;
+      btn.title = lastUndo ? `Rückgängig: ${lastUndo.label}` : "Rückgängig";
+    });
+    document.querySelectorAll(".redo-btn").forEach(btn => {
+      btn.disabled = !lastRedo;
+      btn.title = lastRedo ? `Wiederholen: ${lastRedo.label}` : "Wiederholen";
+    });
+  }
+
+  document.querySelectorAll(".undo-btn").forEach(btn => btn.addEventListener("click", undoLast));
+  document.querySelectorAll(".redo-btn").forEach(btn => btn.addEventListener("click", redoLast));
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    const t = e.target;
+    if (t && (t.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(t.tagName))) return;
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) { e.preventDefault(); undoLast(); }
+    else if ((key === "z" && e.shiftKey) || key === "y") { e.preventDefault(); redoLast(); }
+  });
+  updateHistoryButtons();
+
+  // --- Game events: timestamped log of every stat change ---
+  // { id, t (game clock seconds), period, strength ("5v4"), situation ("EV" | "PP" | "SH" | "EN", seen from the
+  //   scoring / acting team), team ("for" | "against"), player, cat, delta, at (ISO) }
+  function saveGameEvents() {
+    storage.setItem("gameEvents", JSON.stringify(gameEvents));
+  }
+
+  function recordGameEvent({ team = "for", player = "", cat, delta }) {
+    const evt = {
+      id: "e" + Date.now().toString(36) + Math.random().toString(36).slice(2, 5),
+      t: timerSeconds,
+      period: getCurrentPeriod(),
+      strength: formatStrength(),
+      situation: situationFor(team),
+      team,
+      player,
+      cat,
+      delta,
+      at: new Date().toISOString()
+    };
+    gameEvents.push(evt);
+    saveGameEvents();
+    return evt;
+  }
+
+  function clearGameEvents() {
+    gameEvents = [];
+    saveGameEvents();
+  }
+
+  // used by undo/redo of the stat change that recorded the event
+  function removeGameEvent(id) {
+    gameEvents = gameEvents.filter(e => e.id !== id);
+    saveGameEvents();
+  }
+  function restoreGameEvent(evt) {
+    if (gameEvents.some(e => e.id === evt.id)) return;
+    gameEvents.push(evt);
+    saveGameEvents();
+  }
+
+  // elapsed time inside the event's period, e.g. "P2 07:15"
+  function formatEventClock(evt) {
+    const period = Number(evt.period || 1);
+    const inPeriod = Math.max(0, Number(evt.t || 0) - periodStartSeconds(period));
+    return `${periodLabel(period)} ${formatTimeMMSS(inPeriod)}`;
+  }
+
+  // quarter-period buckets in the time box layout: { p1: [scored x4, conceded x4], p2, …, pot (overtime) }
+  // bucket 0 = first quarter of the period (label "19 - 15" for 20 minute periods)
+  function deriveTimeDataFromEvents(events = gameEvents) {
+    const cs = getClockSettings();
+    const data = {};
+    for (let p = 1; p <= cs.periods; p++) data[`p${p}`] = [0,0,0,0,0,0,0,0];
+    if (cs.overtimeMinutes) data.pot = [0,0,0,0,0,0,0,0];
+    events.forEach(evt => {
+      const isGoalFor = evt.team !== "against" && evt.cat === "Goals";
+      const isGoalAgainst = evt.team === "against" && evt.cat === "Goals Against";
+      if (!isGoalFor && !isGoalAgainst) return;
+      const evtPeriod = Math.max(1, Number(evt.period) || 1);
+      const overtime = evtPeriod > cs.periods;
+      const key = overtime ? "pot" : `p${evtPeriod}`;
+      const length = (overtime ? cs.overtimeMinutes : cs.periodMinutes) * 60;
+      const inPeriod = Math.max(0, Number(evt.t || 0) - periodStartSeconds(evtPeriod, cs));
+      const bucket = length ? Math.min(3, Math.floor(inPeriod / (length / 4))) : 3;
+      const idx = isGoalFor ? bucket : 4 + bucket;
+      if (!data[key]) data[key] = [0,0,0,0,0,0,0,0];
+      const arr = data[key];
+      arr[idx] = Math.max(0, arr[idx] + Number(evt.delta || 0));
+    });
+    return data;
+  }
+
+  function applyEventsToTimeBox() {
+    if (!gameEvents.some(e => e.cat === "Goals" || e.cat === "Goals Against")) {
+      alert("Keine Tore im Event-Log vorhanden.");
+      return;
+    }
+    if (!confirm("Zeitboxen der Goal Map aus dem Event-Log neu berechnen? Manuelle Einträge werden überschrieben.")) return;
+    const data = deriveTimeDataFromEvents();
+    storage.setItem("timeData", JSON.stringify(data));
+    writeTimeTrackingToBox(torbildTimeTrackingBox, data);
+  }
+
+  // score and shots of both teams up to game second t (replay)
+  function replayGameEvents(events, t) {
+    const state = { goalsFor: 0, goalsAgainst: 0, shotsFor: 0, shotsAgainst: 0 };
+    events.filter(e => Number(e.t || 0) <= t).forEach(e => {
+      const d = Number(e.delta || 0);
+      if (e.team === "against") {
+        if (e.cat === "Goals Against") state.goalsAgainst += d;
+        if (e.cat === "Shot") state.shotsAgainst += d;
+      } else {
+        if (e.cat === "Goals") state.goalsFor += d;
+        if (e.cat === "Shot") state.shotsFor += d;
+      }
+    });
+    return state;
+  }
+
+  function renderEventsPage() {
+    const container = document.getElementById("eventsContainer");
+    const range = document.getElementById("eventsReplayRange");
+    const label = document.getElementById("eventsReplayLabel");
+    if (!container) return;
+    container.innerHTML = "";
+
+    const events = gameEvents.slice().sort((a, b) => (a.t - b.t) || String(a.at).localeCompare(String(b.at)));
+    const maxT = events.length ? Math.max(timerSeconds, events[events.length - 1].t) : timerSeconds;
+    if (range) {
+      const wasAtEnd = range.value === range.max;
+      range.max = String(maxT);
+      if (wasAtEnd || Number(range.value) > maxT) range.value = String(maxT);
+    }
+    const upTo = range ? Number(range.value) : maxT;
+    const state = replayGameEvents(events, upTo);
+    if (label) {
+      label.textContent = `${formatTimeMMSS(upTo)} · Tore ${state.goalsFor}:${state.goalsAgainst} · Schüsse ${state.shotsFor}:${state.shotsAgainst}`;
+    }
+
+    const visible = events.filter(e => Number(e.t || 0) <= upTo);
+    if (!visible.length) {
+      const p = document.createElement("p");
+      p.className = "center-text";
+      p.textContent = "Noch keine Ereignisse erfasst.";
+      container.appendChild(p);
+      return;
+    }
+
+    const table = createStyledTable();
+    const thead = document.createElement("thead");
+    const headerRow = document.createElement("tr");
+    ["Zeit", "Team", "Spieler", "Kategorie", "Δ"].forEach(h => {
+      const th = document.createElement("th");
+      th.textContent = h;
+      headerRow.appendChild(th);
+    });
+    applyHeaderStyle(headerRow.children);
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement("tbody");
+    // newest first, like a live ticker
+    visible.slice().reverse().forEach((evt, idx) => {
+      const tr = document.createElement("tr");
+      tr.classList.add(idx % 2 === 0 ? "even-row" : "odd-row");
+      [
+        formatEventClock(evt),
+        evt.team === "against" ? "Gegner" : "Wir",
+        evt.player || "-",
+        evt.cat,
+        evt.delta > 0 ? `+${evt.delta}` : String(evt.delta)
+      ].forEach(c => {
+        const td = document.createElement("td");
+        td.textContent = c;
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    container.appendChild(table);
+  }
+
+  document.getElementById("eventsBtn")?.addEventListener("click", () => {
+    showPage("events");
+    const range = document.getElementById("eventsReplayRange");
+    if (range) range.value = range.max = String(Number.MAX_SAFE_INTEGER);
+    renderEventsPage();
+  });
+  document.getElementById("backToStatsFromEventsBtn")?.addEventListener("click", () => showPage("stats"));
+  document.getElementById("eventsReplayRange")?.addEventListener("input", renderEventsPage);
+  document.getElementById("eventsToTimeBoxBtn")?.addEventListener("click", applyEventsToTimeBox);
+
+  // --- change value helper ---
+  function changeValue(td, delta) {
+    const player = td.dataset.player;
+    const cat = td.dataset.cat;
+    const before = Number(statsData[player]?.[cat]) || 0;
+    const after = Math.trunc(before + delta);
+    setStatValue(player, cat, after);
+    const evt = recordGameEvent({ player, cat, delta });
+    if (cat === "Shot" || cat === "Goals") renderPeriodSummary();
+    // a logged goal gives +1 to everyone on the ice, a correction (double tap) takes it back
+    const plusMinus = cat === "Goals" ? applyGoalPlusMinus(evt, 1) : null;
+    const penaltyChange = (cat === "Goals" && delta > 0) ? endPenaltyOnGoal("for") : null;
+    pushHistory({
+      label: `${cat} ${player}`,
+      undo: () => { setStatValue(player, cat, before); removeGameEvent(evt.id); undoGoalPlusMinus(plusMinus); applyPenaltyChange(penaltyChange, "before"); },
+      redo: () => { setStatValue(player, cat, after); restoreGameEvent(evt); redoGoalPlusMinus(plusMinus); applyPenaltyChange(penaltyChange, "after"); }
+    });
+    if (cat === "Penaltys" && delta > 0) openPenaltyDialog("own", player);
+  }
+
+  // --- Automatic +/- for the skaters whose ice timer is running ---
+  const strengthOptions = ["5v5", "5v4", "5v3", "4v5", "3v5", "4v4", "4v3", "3v4", "3v3"];
+
+  function saveStrengthState() { storage.setItem("strengthState", JSON.stringify(strengthState)); }
+  function formatStrength(st = strengthState) {
+    return `${st.own + (st.ownGoalieOut ? 1 : 0)}v${st.opp + (st.oppGoalieOut ? 1 : 0)}`;
+  }
+  function setStrengthFromLabel(label) {
+    const [own, opp] = String(label).split("v").map(Number);
+    if (!own || !opp) return;
+    strengthState = Object.assign({}, strengthState, { own, opp });
+    saveStrengthState();
+    renderLineBar();
+  }
+
+  // sign +1 = goal for, -1 = goal against; power play goals for and short-handed goals
+  // against do not count. Returns the changes so undo/redo can revert them.
+  function applyAutoPlusMinus(sign) {
+    if (sign > 0 && strengthState.own > strengthState.opp) return [];
+    if (sign < 0 && strengthState.own < strengthState.opp) return [];
+    const onIce = selectedPlayers.filter(p => iceTimers[p.name] && !isGoaliePlayer(p.name)).map(p => p.name);
+    const changes = onIce.map(name => {
+      const before = Number(statsData[name]?.["+/-"]) || 0;
+      return { player: name, before, after: before + sign };
+    });
+    reapplyPlusMinus(changes);
+    return changes;
+  }
+  function reapplyPlusMinus(changes) {
+    changes.forEach(c => setStatValue(c.player, "+/-", c.after));
+  }
+  function revertPlusMinus(changes) {
+    changes.forEach(c => setStatValue(c.player, "+/-", c.before));
+  }
+
+  // +/- of a goal event (sign +1 for, -1 against): a logged goal keeps its changes on the event,
+  // a correction (negative delta) takes back what the last uncorrected goal of that team gave.
+  // Returns { changes, goal } for undoGoalPlusMinus / redoGoalPlusMinus.
+  function applyGoalPlusMinus(evt, sign) {
+    if (Number(evt.delta) > 0) {
+      const changes = applyAutoPlusMinus(sign);
+      evt.plusMinus = changes.map(c => ({ player: c.player, delta: c.after - c.before }));
+      saveGameEvents();
+      return { changes, goal: null };
+    }
+    const goal = gameEvents.slice().reverse()
+      .find(e => e.team === evt.team && e.cat === evt.cat && Number(e.delta) > 0 && !e.plusMinusCorrected);
+    if (!goal) return { changes: [], goal: null };
+    const changes = (goal.plusMinus || []).map(c => {
+      const before = Number(statsData[c.player]?.["+/-"]) || 0;
+      return { player: c.player, before, after: before - c.delta };
+    });
+    reapplyPlusMinus(changes);
+    goal.plusMinusCorrected = true;
+    saveGameEvents();
+    return { changes, goal };
+  }
+  function undoGoalPlusMinus(effect) {
+    if (!effect) return;
+    revertPlusMinus(effect.changes);
+    if (effect.goal) { effect.goal.plusMinusCorrected = false; saveGameEvents(); }
+  }
+  function redoGoalPlusMinus(effect) {
+    if (!effect) return;
+    reapplyPlusMinus(effect.changes);
+    if (effect.goal) { effect.goal.plusMinusCorrected = true; saveGameEvents(); }
+  }
+
+  // goal against without a goalie row tap: books it on the goalie on the ice (if exactly one)
+  function logGoalAgainst() {
+    changeGoalsAgainst(getCurrentPeriod(), 1);
+  }
+
+  // every goal against (goalie row, Gegentor button, period summary) goes through here:
+  // goalie GA, opponent goals of the period, auto +/- and the end of our penalty kill.
+  // Without an explicit goalie a goal goes to the only goalie on the ice and a correction
+  // to the goalie of the last goal against in that period.
+  function changeGoalsAgainst(period, delta, goalie) {
+    if (!delta) return;
+    if (goalie === undefined) {
+      if (delta > 0) {
+        const goaliesOnIce = selectedPlayers.filter(p => isGoaliePlayer(p.name) && iceTimers[p.name]);
+        goalie = goaliesOnIce.length === 1 ? goaliesOnIce[0].name : "";
+      } else {
+        const last = gameEvents.slice().reverse()
+          .find(e => e.team === "against" && e.cat === "Goals Against" && Number(e.period) === period && Number(e.delta) > 0);
+        goalie = last && (Number(statsData[last.player]?.["Goals Against"]) || 0) > 0 ? last.player : "";
+      }
+    }
+    const goalieBefore = goalie ? Number(statsData[goalie]?.["Goals Against"]) || 0 : 0;
+    if (goalie ? goalieBefore + delta < 0 : (Number(opponentStats.goals?.[period]) || 0) + delta < 0) return;
+    if (goalie) setGoalieValue(goalie, "Goals Against", goalieBefore + delta);
+    const evt = recordGameEvent({ team: "against", player: goalie, cat: "Goals Against", delta });
+    // events are stamped with the current clock; keep the period that was tapped
+    evt.period = period;
+    saveGameEvents();
+    adjustOpponentStat("goals", period, delta);
+    // a goal added to an earlier period says nothing about who is on the ice or in the box now
+    const live = delta < 0 || period === getCurrentPeriod();
+    const plusMinus = live ? applyGoalPlusMinus(evt, -1) : null;
+    const penaltyChange = (delta > 0 && live) ? endPenaltyOnGoal("against") : null;
+    pushHistory({
+      label: goalie ? `Goals Against ${goalie}` : "Gegentor",
+      undo: () => {
+        if (goalie) setGoalieValue(goalie, "Goals Against", goalieBefore);
+        removeGameEvent(evt.id);
+        adjustOpponentStat("goals", period, -delta);
+        undoGoalPlusMinus(plusMinus);
+        applyPenaltyChange(penaltyChange, "before");
+      },
+      redo: () => {
+        if (goalie) setGoalieValue(goalie, "Goals Against", goalieBefore + delta);
+        restoreGameEvent(evt);
+        adjustOpponentStat("goals", period, delta);
+        redoGoalPlusMinus(plusMinus);
+        applyPenaltyChange(penaltyChange, "after");
+      }
+    });
+  }
+
+  // scoring team's perspective: EN = empty net of the other team, PP / SH = more / fewer skaters
+  function situationFor(team) {
+    const forUs = team !== "against";
+    if (forUs && strengthState.oppGoalieOut) return "EN";
+    if (!forUs && strengthState.ownGoalieOut) return "EN";
+    if (strengthState.own === strengthState.opp) return "EV";
+    return (forUs === (strengthState.own > strengthState.opp)) ? "PP" : "SH";
+  }
+
+  function toggleGoalieOut(key) {
+    strengthState = Object.assign({}, strengthState, { [key]: !strengthState[key] });
+    saveStrengthState();
+    renderLineBar();
+  }
+
+  // --- Penalties: drive the manpower state (PP / PK) ---
+  // { id, team ("own" = our player in the box | "opp"), player, minutes (2, 4 = 2+2, 5, 10), infraction,
+  //   t (game clock at the call), period, expiresAt (game clock), endedAt (set when ended early) }
+  const penaltyMinuteOptions = [
+    { value: 2, label: "2'" },
+    { value: 4, label: "2+2'" },
+    { value: 5, label: "5'" },
+    { value: 10, label: "10' (Disziplinar)" }
+  ];
+  let lastPenaltySignature = null;
+
+  function savePenalties() { storage.setItem("penalties", JSON.stringify(penalties)); }
+  // misconducts (10') do not change the manpower
+  function penaltyAffectsManpower(p) { return Number(p.minutes) !== 10; }
+  function isPenaltyActive(p, t = timerSeconds) {
+    return penaltyAffectsManpower(p) && p.endedAt == null && t >= p.t && t < p.expiresAt;
+  }
+  function activePenalties(team, t = timerSeconds) {
+    return penalties.filter(p => p.team === team && isPenaltyActive(p, t));
+  }
+  function formatPenaltyMinutes(minutes) {
+    return (penaltyMinuteOptions.find(o => o.value === Number(minutes)) || { label: `${minutes}'` }).label;
+  }
+
+  // sets strengthState whenever the set of active penalties changes (call, expiry, early end);
+  // a manually chosen strength stays until then
+  function refreshStrengthFromPenalties(force = false) {
+    const own = activePenalties("own");
+    const opp = activePenalties("opp");
+    const signature = own.map(p => p.id).join(",") + "|" + opp.map(p => p.id).join(",");
+    if (lastPenaltySignature === null && !force) { lastPenaltySignature = signature; return; }
+    if (signature === lastPenaltySignature && !force) return;
+    lastPenaltySignature = signature;
+    strengthState = Object.assign({}, strengthState, { own: Math.max(3, 5 - own.length), opp: Math.max(3, 5 - opp.length) });
+    saveStrengthState();
+    renderLineBar();
+  }
 
-      (function(nameCell, playerName, rowEl) {
-        const LONG_DRAG_MS = 500;
-        let holdTimer = null;
-        let suppressClick = false;
+  function addPenalty({ team, player, minutes, infraction }) {
+    const penalty = {
+      id: "p" + Date.now().toString(36) + Math.random().toString(36).slice(2, 5),
+      team,
+      player,
+      minutes,
+      infraction,
+      t: timerSeconds,
+      period: getCurrentPeriod(),
+      expiresAt: timerSeconds + minutes * 60,
+      endedAt: null
+    };
+    penalties.push(penalty);
+    savePenalties();
+    // own penalties are already logged by the Penaltys tap
+    const evt = team === "opp" ? recordGameEvent({ team: "against", player, cat: "Penaltys", delta: 1 }) : null;
+    const refresh = () => { savePenalties(); refreshStrengthFromPenalties(true); renderPenaltyBar(); };
+    refresh();
+    pushHistory({
+      label: "Strafe",
+      undo: () => { penalties = penalties.filter(p => p.id !== penalty.id); if (evt) removeGameEvent(evt.id); refresh(); },
+      redo: () => { penalties.push(penalty); if (evt) restoreGameEvent(evt); refresh(); }
+    });
+  }
 
-        function enableDragVisual() {
-          rowEl.draggable = true;
-          rowEl.classList.add("drag-enabled");
-          rowEl.style.cursor = "grabbing";
-          rowEl.style.outline = "2px dashed rgba(0,0,0,0.08)";
-        }
+  // power play goal ends the earliest minor; in the first half of a double minor only that half ends
+  function endPenaltyOnGoal(scoringTeam) {
+    const boxTeam = scoringTeam === "for" ? "opp" : "own";
+    const outnumbered = scoringTeam === "for" ? strengthState.own > strengthState.opp : strengthState.opp > strengthState.own;
+    if (!outnumbered) return null;
+    const minor = activePenalties(boxTeam)
+      .filter(p => Number(p.minutes) === 2 || Number(p.minutes) === 4)
+      .sort((a, b) => a.expiresAt - b.expiresAt)[0];
+    if (!minor) return null;
+    const before = { expiresAt: minor.expiresAt, endedAt: minor.endedAt };
+    if (Number(minor.minutes) === 4 && minor.expiresAt - timerSeconds > 120) minor.expiresAt = timerSeconds + 120;
+    else minor.endedAt = timerSeconds;
+    const change = { id: minor.id, before, after: { expiresAt: minor.expiresAt, endedAt: minor.endedAt } };
+    savePenalties();
+    refreshStrengthFromPenalties(true);
+    renderPenaltyBar();
+    return change;
+  }
 
-        nameCell.addEventListener("mousedown", (ev) => {
-          if (holdTimer) clearTimeout(holdTimer);
-          holdTimer = setTimeout(() => {
-            suppressClick = true;
-            enableDragVisual();
-          }, LONG_DRAG_MS);
-        });
-        nameCell.addEventListener("mouseup", () => { if (holdTimer) { clearTimeout(holdTimer); holdTimer = null; } });
-        nameCell.addEventListener("mouseleave", () => { if (holdTimer) { clearTimeout(holdTimer); holdTimer = null; } });
+  function applyPenaltyChange(change, which) {
+    if (!change) return;
+    const penalty = penalties.find(p => p.id === change.id);
+    if (!penalty) return;
+    Object.assign(penalty, change[which]);
+    savePenalties();
+    refreshStrengthFromPenalties(true);
+    renderPenaltyBar();
+  }
 
-        nameCell.addEventListener("touchstart", (ev) => {
-          if (holdTimer) clearTimeout(holdTimer);
-          holdTimer = setTimeout(() => {
-            suppressClick = true;
-            enableDragVisual();
-          }, LONG_DRAG_MS);
-        }, { passive: true });
-        nameCell.addEventListener("touchend", () => { if (holdTimer) { clearTimeout(holdTimer); holdTimer = null; } }, { passive: true });
+  function endPenaltyNow(id) {
+    const penalty = penalties.find(p => p.id === id);
+    if (!penalty) return;
+    const change = { id, before: { endedAt: penalty.endedAt }, after: { endedAt: timerSeconds } };
+    applyPenaltyChange(change, "after");
+    pushHistory({
+      label: "Strafe beendet",
+      undo: () => applyPenaltyChange(change, "before"),
+      redo: () => applyPenaltyChange(change, "after")
+    });
+  }
 
-        nameCell.addEventListener("click", (ev) => {
-          if (suppressClick) { suppressClick = false; return; }
-          if (activeTimers[playerName]) {
-            clearInterval(activeTimers[playerName]);
-            delete activeTimers[playerName];
-            nameCell.style.backgroundColor = "";
-            rowEl.style.backgroundColor = "";
-          } else {
-            activeTimers[playerName] = setInterval(() => {
-              playerTimes[playerName] = (playerTimes[playerName] || 0) + 1;
-              localStorage.setItem("playerTimes", JSON.stringify(playerTimes));
-              const sec = playerTimes[playerName];
-              const mm = String(Math.floor(sec / 60)).padStart(2,"0");
-              const ss = String(sec % 60).padStart(2,"0");
-              const cell = statsContainer.querySelector(`.ice-time-cell[data-player="${playerName}"]`);
-              if (cell) cell.textContent = `${mm}:${ss}`;
-              updateIceTimeColors();
-            }, 1000);
-            nameCell.style.backgroundColor = "#005c2f";
-            rowEl.style.backgroundColor = "#005c2f";
+  function openPenaltyDialog(team, player = "") {
+    const form = document.createElement("div");
+    form.className = "modal-form";
+    let playerInput;
+    if (team === "own") {
+      playerInput = createSelect(selectedPlayers.map(p => ({ value: p.name, label: `${p.num ? p.num + " " : ""}${p.name}` })), player);
+    } else {
+      playerInput = document.createElement("input");
+      playerInput.type = "text";
+      playerInput.placeholder = "Nr. / Name";
+      playerInput.value = player;
+    }
+    const minutesSel = createSelect(penaltyMinuteOptions, 2);
+    const infractionInput = document.createElement("input");
+    infractionInput.type = "text";
+    infractionInput.placeholder = "z.B. Haken";
+
+    form.appendChild(createFormField("Spieler", playerInput));
+    form.appendChild(createFormField("Minuten", minutesSel));
+    form.appendChild(createFormField("Vergehen", infractionInput));
+
+    openModal({
+      title: team === "own" ? "Strafe" : "Strafe Gegner",
+      content: form,
+      buttons: [
+        { label: "Ohne Strafzeit" },
+        {
+          label: "Speichern",
+          onClick: () => {
+            addPenalty({
+              team,
+              player: playerInput.value.trim(),
+              minutes: Number(minutesSel.value) || 2,
+              infraction: infractionInput.value.trim()
+            });
           }
-        });
-      })(nameTd, p.name, tr);
+        }
+      ]
+    });
+  }
 
-      tbody.appendChild(tr);
+  // called on every clock tick: the chips are only rebuilt when the running penalties change,
+  // otherwise just their remaining time is updated
+  let lastPenaltyBarSignature = null;
+  function renderPenaltyBar() {
+    const bar = document.getElementById("penaltyBar");
+    if (!bar) return;
+    const running = penalties
+      .filter(p => p.endedAt == null && timerSeconds >= p.t && timerSeconds < p.expiresAt)
+      .sort((a, b) => a.expiresAt - b.expiresAt);
+    const signature = JSON.stringify(running.map(p => [p.id, p.team, p.player, p.minutes, p.infraction, p.expiresAt]));
+    if (signature === lastPenaltyBarSignature && bar.childElementCount) {
+      bar.querySelectorAll(".penalty-time").forEach((el, i) => {
+        el.textContent = formatTimeMMSS(running[i].expiresAt - timerSeconds);
+      });
+      return;
+    }
+    lastPenaltyBarSignature = signature;
+    bar.innerHTML = "";
+    running.forEach(p => {
+      const chip = document.createElement("span");
+      chip.className = `penalty-chip ${p.team === "own" ? "own" : "opp"}`;
+      const who = p.team === "own" ? p.player : `Gegner ${p.player || ""}`.trim();
+      chip.textContent = `${who} ${formatPenaltyMinutes(p.minutes)} · `;
+      const time = document.createElement("span");
+      time.className = "penalty-time";
+      time.textContent = formatTimeMMSS(p.expiresAt - timerSeconds);
+      chip.appendChild(time);
+      if (p.infraction) chip.title = p.infraction;
+      const endBtn = document.createElement("button");
+      endBtn.type = "button";
+      endBtn.textContent = "✕";
+      endBtn.title = "Strafe beenden";
+      endBtn.addEventListener("click", () => endPenaltyNow(p.id));
+      chip.appendChild(endBtn);
+      bar.appendChild(chip);
     });
+    const oppBtn = document.createElement("button");
+    oppBtn.type = "button";
+    oppBtn.className = "top-btn";
+    oppBtn.textContent = "Strafe Gegner";
+    oppBtn.addEventListener("click", () => openPenaltyDialog("opp"));
+    bar.appendChild(oppBtn);
+  }
 
-    const totalsRow = document.createElement("tr");
-    totalsRow.id = "totalsRow";
-    const tdEmpty = document.createElement("td"); tdEmpty.textContent = "";
-    const tdTotalLabel = document.createElement("td"); tdTotalLabel.textContent = `Total (${selectedPlayers.length})`;
-    totalsRow.appendChild(tdEmpty);
-    totalsRow.appendChild(tdTotalLabel);
-    categories.forEach(c => {
-      const td = document.createElement("td");
-      td.className = "total-cell";
-      td.dataset.cat = c;
-      td.textContent = "0";
-      totalsRow.appendChild(td);
+  // special teams of one game from its events and penalties
+  function computeSpecialTeams(events, pens) {
+    const res = { ppOpportunities: 0, ppGoals: 0, timesShorthanded: 0, ppGoalsAgainst: 0, byPlayer: {} };
+    // replay the manpower: an opportunity starts when the skater count tips to one side,
+    // so coincidental minors and a second penalty during a running power play add none
+    const spans = (pens || []).filter(penaltyAffectsManpower)
+      .map(p => ({ team: p.team, from: Number(p.t) || 0, to: Number(p.endedAt != null ? p.endedAt : p.expiresAt) || 0 }))
+      .filter(span => span.to > span.from);
+    const times = [...new Set(spans.flatMap(span => [span.from, span.to]))].sort((a, b) => a - b);
+    let advantage = 0;
+    times.forEach(t => {
+      const skaters = team => Math.max(3, 5 - spans.filter(span => span.team === team && t >= span.from && t < span.to).length);
+      const next = Math.sign(skaters("own") - skaters("opp"));
+      if (next !== advantage && next > 0) res.ppOpportunities++;
+      if (next !== advantage && next < 0) res.timesShorthanded++;
+      advantage = next;
     });
-    const tdTimeTotal = document.createElement("td");
-    tdTimeTotal.className = "total-cell";
-    tdTimeTotal.dataset.cat = "Time";
-    tdTimeTotal.textContent = "";
-    totalsRow.appendChild(tdTimeTotal);
+    (events || []).forEach(e => {
+      const d = Number(e.delta || 0);
+      if (e.team === "against") {
+        if (e.cat === "Goals Against" && e.situation === "PP") res.ppGoalsAgainst += d;
+        return;
+      }
+      if (e.cat === "Goals" && e.situation === "PP") res.ppGoals += d;
+      if ((e.cat === "Goals" || e.cat === "Assist") && (e.situation === "PP" || e.situation === "SH") && e.player) {
+        const line = res.byPlayer[e.player] || (res.byPlayer[e.player] = { ppPoints: 0, shPoints: 0 });
+        if (e.situation === "PP") line.ppPoints += d;
+        else line.shPoints += d;
+      }
+    });
+    return res;
+  }
 
-    const headerBg = headerBgColor;
-    const headerColor = headerTextColor;
-    Array.from(totalsRow.children).forEach(td => {
-      td.style.background = headerBg;
-      td.style.color = headerColor;
-      td.style.fontWeight = "700";
-      td.style.padding = "8px";
+  function formatPercentShare(part, total) {
+    return total ? `${Math.round((part / total) * 100)}%` : "-";
+  }
+
+  // --- Opponent stats per period (shots / goals against) ---
+  function saveOpponentStats() { storage.setItem("opponentStats", JSON.stringify(opponentStats)); }
+
+  function opponentTotal(kind) {
+    return Object.values(opponentStats[kind] || {}).reduce((sum, v) => sum + (Number(v) || 0), 0);
+  }
+
+  function adjustOpponentStat(kind, period, delta) {
+    if (!opponentStats[kind]) opponentStats[kind] = {};
+    opponentStats[kind][period] = Math.max(0, (Number(opponentStats[kind][period]) || 0) + delta);
+    saveOpponentStats();
+    updateTotals();
+    renderPeriodSummary();
+  }
+
+  // tap on an opponent cell (totals row or period summary); logged as event + undoable
+  function changeOpponentStat(kind, period, delta) {
+    if (kind === "goals") { changeGoalsAgainst(period, delta); return; }
+    const before = Number(opponentStats[kind]?.[period]) || 0;
+    if (before + delta < 0) return;
+    adjustOpponentStat(kind, period, delta);
+    const cat = kind === "shots" ? "Shot" : "Goals Against";
+    const evt = recordGameEvent({ team: "against", player: "", cat, delta });
+    // events are stamped with the current clock; keep the period that was tapped
+    evt.period = period;
+    saveGameEvents();
+    pushHistory({
+      label: kind === "shots" ? "Schuss Gegner" : "Tor Gegner",
+      undo: () => { adjustOpponentStat(kind, period, -delta); removeGameEvent(evt.id); },
+      redo: () => { adjustOpponentStat(kind, period, delta); restoreGameEvent(evt); }
     });
+  }
 
-    tbody.appendChild(totalsRow);
+  // shots / goals per period for both teams; own values come from the event log
+  function computePeriodBreakdown(events = gameEvents, opp = opponentStats) {
+    const cs = getClockSettings();
+    const periodNums = Array.from({ length: cs.periods }, (_, i) => i + 1);
+    const hasOvertime = [opp.shots, opp.goals].some(m => Number(m?.[cs.periods + 1] || 0) > 0) ||
+      events.some(e => Number(e.period) > cs.periods);
+    if (hasOvertime) periodNums.push(cs.periods + 1);
+    return periodNums.map(period => {
+      const own = events.filter(e => e.team !== "against" && Number(e.period) === period);
+      return {
+        period,
+        shotsFor: own.filter(e => e.cat === "Shot").reduce((sum, e) => sum + Number(e.delta || 0), 0),
+        goalsFor: own.filter(e => e.cat === "Goals").reduce((sum, e) => sum + Number(e.delta || 0), 0),
+        shotsAgainst: Number(opp.shots?.[period] || 0),
+        goalsAgainst: Number(opp.goals?.[period] || 0)
+      };
+    });
+  }
 
-    table.appendChild(tbody);
-    statsContainer.appendChild(table);
+  function renderPeriodSummary() {
+    if (!statsContainer) return;
+    statsContainer.querySelector(".period-summary")?.remove();
+    if (!selectedPlayers.length) return;
+    const breakdown = computePeriodBreakdown();
+    // own totals come from the stats table; what the event log cannot place in a period
+    // (CSV import, manual edits) is shown as "ohne Zeit" so the Total matches the totals row
+    const ownTotals = {
+      shotsFor: selectedPlayers.filter(p => !isGoaliePlayer(p.name)).reduce((sum, p) => sum + (Number(statsData[p.name]?.Shot) || 0), 0),
+      goalsFor: currentScore().for
+    };
+    const unassigned = {
+      shotsFor: ownTotals.shotsFor - breakdown.reduce((sum, b) => sum + b.shotsFor, 0),
+      goalsFor: ownTotals.goalsFor - breakdown.reduce((sum, b) => sum + b.goalsFor, 0)
+    };
+    const showUnassigned = unassigned.shotsFor !== 0 || unassigned.goalsFor !== 0;
+
+    const table = createStyledTable();
+    table.classList.add("period-summary");
+    table.style.marginTop = "16px";
+    const thead = document.createElement("thead");
+    const headerRow = document.createElement("tr");
+    ["", ...breakdown.map(b => periodLabel(b.period)), ...(showUnassigned ? ["ohne Zeit"] : []), "Total"].forEach(h => {
+      const th = document.createElement("th");
+      th.textContent = h;
+      headerRow.appendChild(th);
+    });
+    applyHeaderStyle(headerRow.children);
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
 
-    statsContainer.querySelectorAll("td[data-player]").forEach(td => {
-      let clickTimeout = null;
-      td.addEventListener("click", (e) => {
-        if (clickTimeout) clearTimeout(clickTimeout);
-        clickTimeout = setTimeout(() => {
-          changeValue(td, 1);
-          clickTimeout = null;
-        }, 200);
-      });
-      td.addEventListener("dblclick", (e) => {
-        e.preventDefault();
-        if (clickTimeout) { clearTimeout(clickTimeout); clickTimeout = null; }
-        changeValue(td, -1);
+    const tbody = document.createElement("tbody");
+    const rows = [
+      { label: "Schüsse", key: "shotsFor" },
+      { label: "Schüsse Gegner", key: "shotsAgainst", oppKind: "shots" },
+      { label: "Tore", key: "goalsFor" },
+      { label: "Tore Gegner", key: "goalsAgainst", oppKind: "goals" }
+    ];
+    rows.forEach((row, idx) => {
+      const tr = document.createElement("tr");
+      tr.classList.add(idx % 2 === 0 ? "even-row" : "odd-row");
+      const labelTd = document.createElement("td");
+      labelTd.style.cssText = "text-align:left;padding-left:12px;font-weight:700;white-space:nowrap;";
+      labelTd.textContent = row.label;
+      tr.appendChild(labelTd);
+      breakdown.forEach(b => {
+        const td = document.createElement("td");
+        td.textContent = b[row.key];
+        if (row.oppKind) {
+          // opponent values are entered here: tap +1, double tap -1
+          td.style.cursor = "pointer";
+          let clickTimeout = null;
+          td.addEventListener("click", () => {
+            if (clickTimeout) clearTimeout(clickTimeout);
+            clickTimeout = setTimeout(() => { changeOpponentStat(row.oppKind, b.period, 1); clickTimeout = null; }, 200);
+          });
+          td.addEventListener("dblclick", (e) => {
+            e.preventDefault();
+            if (clickTimeout) { clearTimeout(clickTimeout); clickTimeout = null; }
+            changeOpponentStat(row.oppKind, b.period, -1);
+          });
+        }
+        tr.appendChild(td);
       });
+      if (showUnassigned) {
+        const td = document.createElement("td");
+        td.textContent = row.oppKind ? "" : unassigned[row.key];
+        tr.appendChild(td);
+      }
+      const totalTd = document.createElement("td");
+      totalTd.style.fontWeight = "700";
+      totalTd.textContent = row.oppKind ? opponentTotal(row.oppKind) : ownTotals[row.key];
+      tr.appendChild(totalTd);
+      tbody.appendChild(tr);
     });
+    table.appendChild(tbody);
+    statsContainer.appendChild(table);
+  }
 
-    updateIceTimeColors();
-    updateTotals();
+  function clearOpponentStats() {
+    opponentStats = { shots: {}, goals: {} };
+    saveOpponentStats();
   }
 
-  // --- change value helper ---
-  function changeValue(td, delta) {
-    const player = td.dataset.player;
-    const cat = td.dataset.cat;
-    if (!statsData[player]) statsData[player] = {};
-    statsData[player][cat] = (statsData[player][cat] || 0) + delta;
-    statsData[player][cat] = Math.trunc(statsData[player][cat]);
-    localStorage.setItem("statsData", JSON.stringify(statsData));
-    td.textContent = statsData[player][cat];
+  // --- Scoreboard (stats page) ---
+  // own team name is remembered across games; each game keeps its own copy
+  function getTeamName() { return storage.getItem("teamName") || ""; }
 
-    const val = statsData[player][cat];
-    const posColor = getComputedStyle(document.documentElement).getPropertyValue('--cell-pos-color')?.trim() || "#00ff80";
-    const negColor = getComputedStyle(document.documentElement).getPropertyValue('--cell-neg-color')?.trim() || "#ff4c4c";
-    const zeroColor = getComputedStyle(document.documentElement).getPropertyValue('--cell-zero-color')?.trim() || "#ffffff";
-    td.style.color = val > 0 ? posColor : val < 0 ? negColor : zeroColor;
+  function currentScore() {
+    return {
+      for: selectedPlayers.reduce((sum, p) => sum + (Number(statsData[p.name]?.Goals) || 0), 0),
+      against: opponentTotal("goals")
+    };
+  }
+
+  let lastScoreboardSignature = "";
+  function renderScoreboard(force = false) {
+    const board = document.getElementById("scoreboard");
+    if (!board) return;
+    const game = getCurrentGame();
+    const score = currentScore();
+    const shots = {
+      for: selectedPlayers.filter(p => !isGoaliePlayer(p.name)).reduce((sum, p) => sum + (Number(statsData[p.name]?.Shot) || 0), 0),
+      against: opponentTotal("shots")
+    };
+    const own = { name: game.teamName || getTeamName() || "Team", goals: score.for, shots: shots.for };
+    const opp = { name: game.opponent || "Gegner", goals: score.against, shots: shots.against };
+    // home team on the left
+    const [home, away] = game.homeAway === "away" ? [opp, own] : [own, opp];
+    const periodText = clockState.phase === "final" ? "Ende"
+      : clockState.phase === "intermission" ? `Pause nach ${periodLabel(getCurrentPeriod())}`
+      : periodLabel(getCurrentPeriod());
+
+    const signature = JSON.stringify([home, away, periodText]);
+    if (!force && signature === lastScoreboardSignature) return;
+    lastScoreboardSignature = signature;
+
+    board.innerHTML = `
+      <span class="scoreboard-team${home === own ? " own" : ""}">${escapeHtml(home.name)}</span>
+      <span class="scoreboard-score">${home.goals} : ${away.goals}</span>
+      <span class="scoreboard-team${away === own ? " own" : ""}">${escapeHtml(away.name)}</span>
+      <span class="scoreboard-meta">${escapeHtml(periodText)} · Schüsse ${home.shots} : ${away.shots}</span>`;
+  }
+
+  function openScoreboardDialog() {
+    const game = getCurrentGame();
+    const form = document.createElement("div");
+    form.className = "modal-form";
+    const teamInput = document.createElement("input");
+    teamInput.type = "text";
+    teamInput.placeholder = "Eigenes Team";
+    teamInput.value = game.teamName || getTeamName();
+    const oppInput = document.createElement("input");
+    oppInput.type = "text";
+    oppInput.placeholder = "Gegner";
+    oppInput.value = game.opponent || "";
+    const haSelect = createSelect([{ value: "home", label: "Heim" }, { value: "away", label: "Auswärts" }], game.homeAway || "home");
+    form.appendChild(createFormField("Team", teamInput));
+    form.appendChild(createFormField("Gegner", oppInput));
+    form.appendChild(createFormField("Heim/Auswärts", haSelect));
+
+    openModal({
+      title: "Spiel",
+      content: form,
+      buttons: [
+        { label: "Abbrechen" },
+        {
+          label: "Speichern",
+          onClick: () => {
+            const teamName = teamInput.value.trim();
+            if (teamName) storage.setItem("teamName", teamName);
+            setCurrentGame(Object.assign(getCurrentGame(), { teamName, opponent: oppInput.value.trim(), homeAway: haSelect.value }));
+            renderScoreboard(true);
+          }
+        }
+      ]
+    });
+  }
+  document.getElementById("scoreboard")?.addEventListener("click", openScoreboardDialog);
+
+  function setStatValue(player, cat, val) {
+    if (!statsData[player]) statsData[player] = {};
+    statsData[player][cat] = val;
+    storage.setItem("statsData", JSON.stringify(statsData));
+
+    const td = statsContainer?.querySelector(`td[data-player="${CSS.escape(player)}"][data-cat="${CSS.escape(cat)}"]`);
+    if (td) {
+      td.textContent = val;
+      const posColor = getComputedStyle(document.documentElement).getPropertyValue('--cell-pos-color')?.trim() || "#00ff80";
+      const negColor = getComputedStyle(document.documentElement).getPropertyValue('--cell-neg-color')?.trim() || "#ff4c4c";
+      const zeroColor = getComputedStyle(document.documentElement).getPropertyValue('--cell-zero-color')?.trim() || "#ffffff";
+      td.style.color = val > 0 ? posColor : val < 0 ? negColor : zeroColor;
+    }
 
     updateTotals();
   }
 
   // --- update totals ---
+  let oppShotClickTimeout = null;
   function updateTotals() {
     const totals = {};
     categories.forEach(c => totals[c] = 0);
     let totalSeconds = 0;
-    selectedPlayers.forEach(p => {
+    let totalShifts = 0;
+    const skaters = selectedPlayers.filter(p => !isGoaliePlayer(p.name));
+    skaters.forEach(p => {
       categories.forEach(c => { totals[c] += (Number(statsData[p.name]?.[c]) || 0); });
       totalSeconds += (playerTimes[p.name] || 0);
+      totalShifts += Number(playerShifts[p.name] || 0);
     });
 
     document.querySelectorAll(".total-cell").forEach(tc => {
       const cat = tc.dataset.cat;
       if (cat === "+/-") {
-        const vals = selectedPlayers.map(p => Number(statsData[p.name]?.[cat] || 0));
+        const vals = skaters.map(p => Number(statsData[p.name]?.[cat] || 0));
         const avg = vals.length ? Math.round(vals.reduce((a,b)=>a+b,0)/vals.length) : 0;
         tc.textContent = `Ø ${avg}`;
         tc.style.color = "#ffffff";
@@ -1771,21 +5312,34 @@ document.addEventListener("DOMContentLoaded", () => {
         tc.textContent = totals[cat] || 0;
         tc.style.color = "#ffffff";
       } else if (cat === "Shot") {
-        if (!tc.dataset.opp) tc.dataset.opp = 0;
         const own = totals["Shot"] || 0;
-        const opp = Number(tc.dataset.opp) || 0;
+        const opp = opponentTotal("shots");
         let ownColor = "#ffffff", oppColor = "#ffffff";
         if (own > opp) { ownColor = "#00ff80"; oppColor = "#ff4c4c"; }
         else if (opp > own) { ownColor = "#ff4c4c"; oppColor = "#00ff80"; }
         tc.innerHTML = `<span style="color:${ownColor}">${own}</span> <span style="color:white">vs</span> <span style="color:${oppColor}">${opp}</span>`;
+        // tap +1 opponent shot, double tap -1 (like the other counters)
+        tc.title = "Schüsse Gegner: Tippen +1, Doppeltippen −1";
         tc.onclick = () => {
-          tc.dataset.opp = Number(tc.dataset.opp || 0) + 1;
-          updateTotals();
+          if (oppShotClickTimeout) clearTimeout(oppShotClickTimeout);
+          oppShotClickTimeout = setTimeout(() => { changeOpponentStat("shots", getCurrentPeriod(), 1); oppShotClickTimeout = null; }, 200);
+        };
+        tc.ondblclick = (e) => {
+          e.preventDefault();
+          if (oppShotClickTimeout) { clearTimeout(oppShotClickTimeout); oppShotClickTimeout = null; }
+          // take it from the latest period that has opponent shots, the current one first
+          const period = [getCurrentPeriod(), ...Object.keys(opponentStats.shots || {}).map(Number).sort((a, b) => b - a)]
+            .find(p => Number(opponentStats.shots?.[p]) > 0);
+          if (period) changeOpponentStat("shots", period, -1);
         };
       } else if (cat === "Time") {
         const mm = String(Math.floor(totalSeconds / 60)).padStart(2,"0");
         const ss = String(totalSeconds % 60).padStart(2,"0");
         tc.textContent = `${mm}:${ss}`;
+      } else if (cat === "Shifts") {
+        tc.textContent = totalShifts;
+      } else if (cat === "ShiftAvg") {
+        tc.textContent = totalShifts ? formatTimeMMSS(Math.round(totalSeconds / totalShifts)) : "";
       } else {
         tc.textContent = totals[cat] || 0;
         const posColor = getComputedStyle(document.documentElement).getPropertyValue('--cell-pos-color')?.trim() || "#00ff80";
@@ -1794,34 +5348,244 @@ document.addEventListener("DOMContentLoaded", () => {
         tc.style.color = totals[cat] > 0 ? posColor : totals[cat] < 0 ? negColor : zeroColor;
       }
     });
+    renderScoreboard();
+  }
+
+  // --- Game clock: periods, countdown, intermissions, overtime ---
+  // timerSeconds stays the elapsed playing time of the whole game (intermissions excluded),
+  // events and markers are stamped with it; period and display are derived from the settings.
+  const clockFormats = [
+    { value: "3x20", label: "3 x 20 min", periods: 3, periodMinutes: 20 },
+    { value: "3x15", label: "3 x 15 min", periods: 3, periodMinutes: 15 },
+    { value: "2x25", label: "2 x 25 min (Junioren)", periods: 2, periodMinutes: 25 },
+    { value: "custom", label: "Eigene" }
+  ];
+  const defaultClockSettings = { periods: 3, periodMinutes: 20, intermissionMinutes: 15, overtimeMinutes: 5, countdown: true };
+
+  function getClockSettings() {
+    try {
+      const raw = storage.getItem("clockSettings");
+      if (raw) return Object.assign({}, defaultClockSettings, JSON.parse(raw));
+    } catch (e) {}
+    return Object.assign({}, defaultClockSettings);
+  }
+  function setClockSettings(obj) { storage.setItem("clockSettings", JSON.stringify(obj)); }
+
+  // phase: "play" (period running or waiting for face-off), "intermission", "final"
+  // running + lastTickAt (wall clock ms of the last counted second) let the clock resume after a reload
+  let clockState = JSON.parse(storage.getItem("clockState")) || { phase: "play", intermissionLeft: 0 };
+  function saveClockState() { storage.setItem("clockState", JSON.stringify(clockState)); }
+
+  function periodStartSeconds(period, cs = getClockSettings()) {
+    return Math.min(period - 1, cs.periods) * cs.periodMinutes * 60;
+  }
+
+  function getPeriodInfo(t = timerSeconds) {
+    const cs = getClockSettings();
+    const len = cs.periodMinutes * 60;
+    const regulation = cs.periods * len;
+    t = Number(t) || 0;
+    if (t < regulation || !cs.overtimeMinutes) {
+      const period = Math.min(cs.periods, Math.floor(t / len) + 1);
+      const elapsed = t - (period - 1) * len;
+      return { period, overtime: false, start: (period - 1) * len, length: len, elapsed, remaining: Math.max(0, len - elapsed) };
+    }
+    const otLen = cs.overtimeMinutes * 60;
+    const elapsed = t - regulation;
+    return { period: cs.periods + 1, overtime: true, start: regulation, length: otLen, elapsed, remaining: Math.max(0, otLen - elapsed) };
+  }
+
+  function periodLabel(period) {
+    return Number(period) > getClockSettings().periods ? "OT" : `P${period}`;
+  }
+
+  function getCurrentPeriod() {
+    // after the buzzer (intermission / final) stamps still belong to the period that just ended
+    const t = clockState.phase === "play" ? timerSeconds : Math.max(0, timerSeconds - 1);
+    return getPeriodInfo(t).period;
+  }
+
+  window.getGameClock = () => Object.assign({ seconds: timerSeconds, phase: clockState.phase, running: timerRunning }, getPeriodInfo(), { period: getCurrentPeriod() });
+
+  function formatClockDisplay() {
+    if (clockState.phase === "intermission") return `Pause ${formatTimeMMSS(clockState.intermissionLeft)}`;
+    if (clockState.phase === "final") return "Ende";
+    const info = getPeriodInfo();
+    return `${periodLabel(info.period)} ${formatTimeMMSS(getClockSettings().countdown ? info.remaining : info.elapsed)}`;
   }
 
-  // --- timer helpers ---
   function updateTimerDisplay(){
-    const m = String(Math.floor(timerSeconds / 60)).padStart(2,"0");
-    const s = String(timerSeconds % 60).padStart(2,"0");
-    if (timerBtn) timerBtn.textContent = `${m}:${s}`;
-    localStorage.setItem("timerSeconds", timerSeconds.toString());
+    refreshStrengthFromPenalties();
+    renderPenaltyBar();
+    if (timerBtn) {
+      timerBtn.textContent = formatClockDisplay();
+      timerBtn.classList.toggle("intermission", clockState.phase === "intermission");
+    }
+    storage.setItem("timerSeconds", timerSeconds.toString());
+    renderScoreboard();
+  }
+
+  function endOfPeriod(info) {
+    const cs = getClockSettings();
+    const lastPeriod = info.overtime || (info.period >= cs.periods && !cs.overtimeMinutes);
+    if (lastPeriod) {
+      clockState.phase = "final";
+      stopTimer();
+    } else if (cs.intermissionMinutes > 0) {
+      // intermission counts down on its own; the next period starts with the next tap
+      clockState.phase = "intermission";
+      clockState.intermissionLeft = cs.intermissionMinutes * 60;
+    } else {
+      stopTimer();
+    }
+  }
+
+  function advanceClockOneSecond() {
+    if (clockState.phase === "intermission") {
+      clockState.intermissionLeft = Math.max(0, clockState.intermissionLeft - 1);
+      if (clockState.intermissionLeft === 0) {
+        clockState.phase = "play";
+        stopTimer();
+      }
+    } else if (clockState.phase === "play") {
+      const info = getPeriodInfo();
+      timerSeconds++;
+      if (timerSeconds - info.start >= info.length) endOfPeriod(info);
+    }
+  }
+
+  // counts every full second since lastTickAt; period ends and intermissions inside
+  // a long gap (background tab, locked phone) are replayed in order
+  function syncGameClock() {
+    if (!clockState.running || !clockState.lastTickAt) return;
+    const now = Date.now();
+    let changed = false;
+    while (clockState.running && now - clockState.lastTickAt >= 1000) {
+      clockState.lastTickAt += 1000;
+      advanceClockOneSecond();
+      changed = true;
+    }
+    if (!changed) return;
+    saveClockState();
+    updateTimerDisplay();
   }
+
   function startTimer(){
-    if (!timerInterval) {
-      timerInterval = setInterval(() => { timerSeconds++; updateTimerDisplay(); }, 1000);
-      timerRunning = true;
-      if (timerBtn) { timerBtn.classList.remove("stopped","reset"); timerBtn.classList.add("running"); }
+    if (clockState.phase === "final") return;
+    if (!clockState.running) {
+      clockState.running = true;
+      clockState.lastTickAt = Date.now();
+      saveClockState();
     }
+    if (!timerInterval) timerInterval = setInterval(syncGameClock, 250);
+    timerRunning = true;
+    if (timerBtn) { timerBtn.classList.remove("stopped","reset"); timerBtn.classList.add("running"); }
   }
   function stopTimer(){
     if (timerInterval) { clearInterval(timerInterval); timerInterval = null; }
     timerRunning = false;
+    clockState.running = false;
+    clockState.lastTickAt = null;
+    saveClockState();
     if (timerBtn) { timerBtn.classList.remove("running","reset"); timerBtn.classList.add("stopped"); }
   }
   function resetTimerOnlyClock(){
     if (timerInterval) { clearInterval(timerInterval); timerInterval = null; }
     timerSeconds = 0; timerRunning = false;
+    clockState = { phase: "play", intermissionLeft: 0, running: false, lastTickAt: null };
+    saveClockState();
     updateTimerDisplay();
     if (timerBtn) { timerBtn.classList.remove("running","stopped"); timerBtn.classList.add("reset"); }
   }
 
+  function onTimerTap() {
+    if (clockState.phase === "intermission") {
+      // skip the rest of the intermission; clock waits for the face-off
+      clockState = { phase: "play", intermissionLeft: 0 };
+      saveClockState();
+      stopTimer();
+      updateTimerDisplay();
+      return;
+    }
+    if (clockState.running) {
+      syncGameClock();
+      // round the started second instead of dropping it
+      if (clockState.running && Date.now() - clockState.lastTickAt >= 500) advanceClockOneSecond();
+      stopTimer();
+      updateTimerDisplay();
+    } else {
+      startTimer();
+    }
+  }
+
+  // catch up immediately when the tab / phone becomes visible again
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState !== "visible") return;
+    syncGameClock();
+    syncIceTimers();
+  });
+
+  function openClockSettingsDialog() {
+    const cs = getClockSettings();
+    const form = document.createElement("div");
+    form.className = "modal-form";
+    const current = clockFormats.find(f => f.periods === cs.periods && f.periodMinutes === cs.periodMinutes);
+    const formatSel = createSelect(clockFormats.map(f => ({ value: f.value, label: f.label })), current ? current.value : "custom");
+    const numberInput = (value, min) => {
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = String(min);
+      input.value = String(value);
+      return input;
+    };
+    const periodsInput = numberInput(cs.periods, 1);
+    const minutesInput = numberInput(cs.periodMinutes, 1);
+    const intermissionInput = numberInput(cs.intermissionMinutes, 0);
+    const overtimeInput = numberInput(cs.overtimeMinutes, 0);
+    const countdownInput = document.createElement("input");
+    countdownInput.type = "checkbox";
+    countdownInput.checked = !!cs.countdown;
+
+    formatSel.addEventListener("change", () => {
+      const f = clockFormats.find(x => x.value === formatSel.value);
+      if (!f || !f.periods) return;
+      periodsInput.value = String(f.periods);
+      minutesInput.value = String(f.periodMinutes);
+    });
+
+    form.appendChild(createFormField("Format", formatSel));
+    form.appendChild(createFormField("Perioden", periodsInput));
+    form.appendChild(createFormField("Minuten pro Periode", minutesInput));
+    form.appendChild(createFormField("Pause (Minuten)", intermissionInput));
+    form.appendChild(createFormField("Overtime (Minuten, 0 = keine)", overtimeInput));
+    form.appendChild(createFormField("Countdown anzeigen", countdownInput));
+
+    openModal({
+      title: "Spieluhr",
+      content: form,
+      buttons: [
+        { label: "Abbrechen" },
+        {
+          label: "Speichern",
+          onClick: () => {
+            const periods = Math.trunc(Number(periodsInput.value));
+            const periodMinutes = Math.trunc(Number(minutesInput.value));
+            if (!(periods >= 1) || !(periodMinutes >= 1)) { alert("Perioden und Minuten müssen mindestens 1 sein."); return false; }
+            setClockSettings({
+              periods,
+              periodMinutes,
+              intermissionMinutes: Math.max(0, Math.trunc(Number(intermissionInput.value) || 0)),
+              overtimeMinutes: Math.max(0, Math.trunc(Number(overtimeInput.value) || 0)),
+              countdown: countdownInput.checked
+            });
+            setupTimeTrackingBoxes();
+            updateTimerDisplay();
+          }
+        }
+      ]
+    });
+  }
+
   let holdTimer = null, longPress = false;
   const LONG_MS = 800;
   if (timerBtn) {
@@ -1831,18 +5595,34 @@ document.addEventListener("DOMContentLoaded", () => {
     timerBtn.addEventListener("touchstart", () => { longPress=false; holdTimer = setTimeout(()=>{ resetTimerOnlyClock(); longPress=true; }, LONG_MS); }, {passive:true});
     timerBtn.addEventListener("touchend", () => { if (holdTimer) clearTimeout(holdTimer); });
     timerBtn.addEventListener("touchcancel", () => { if (holdTimer) clearTimeout(holdTimer); }, {passive:true});
-    timerBtn.addEventListener("click", () => { if (longPress) { longPress=false; return; } if (timerInterval) stopTimer(); else startTimer(); });
+    timerBtn.addEventListener("click", () => { if (longPress) { longPress=false; return; } onTimerTap(); });
   }
+  document.getElementById("clockSettingsBtn")?.addEventListener("click", openClockSettingsDialog);
 
   // --- Reset functions ---
   function resetStatsPage() {
     const sicher = confirm("⚠️ Spieldaten zurücksetzen?");
     if (!sicher) return;
-    localStorage.removeItem("statsData");
-    localStorage.removeItem("playerTimes");
+    storage.removeItem("statsData");
+    storage.removeItem("playerTimes");
     statsData = {};
     playerTimes = {};
+    playerShifts = {};
+    storage.removeItem("playerShifts");
+    strengthState = { own: 5, opp: 5 };
+    saveStrengthState();
+    penalties = [];
+    savePenalties();
+    clearOpponentStats();
+    iceTimers = {};
+    saveIceTimers();
+    ensureIceTimerLoop();
+    clearGameEvents();
+    clearHistory("stats");
+    // the next recording is a new game (own id, fresh date / opponent)
+    startNewCurrentGame();
     renderStatsTable();
+    renderScoreboard(true);
     alert("Spieldaten zurückgesetzt.");
   }
 
@@ -1851,7 +5631,10 @@ document.addEventListener("DOMContentLoaded", () => {
     if (!sicher) return;
     document.querySelectorAll("#torbildPage .marker-dot").forEach(d => d.remove());
     document.querySelectorAll("#torbildPage .time-btn").forEach(btn => btn.textContent = "0");
-    localStorage.removeItem("timeData");
+    storage.removeItem("timeData");
+    hideMarkerTagPanel();
+    clearHistory("goalMap");
+    refreshMarkerViews();
     alert("Goal Map zurückgesetzt.");
   }
 
@@ -1859,7 +5642,11 @@ document.addEventListener("DOMContentLoaded", () => {
     const sicher = confirm("⚠️ Season-Daten löschen?");
     if (!sicher) return;
     seasonData = {};
-    localStorage.removeItem("seasonData");
+    seasonBase = {};
+    seasonGames = [];
+    storage.removeItem("seasonData");
+    storage.setItem("seasonBase", JSON.stringify(seasonBase));
+    saveSeasonGames();
     renderSeasonTable();
     alert("Season-Daten gelöscht.");
   }
@@ -1874,7 +5661,7 @@ document.addEventListener("DOMContentLoaded", () => {
   function showPageFull(page) {
     Object.values(pages).forEach(p => { if (p) p.style.display = "none"; });
     if (pages[page]) pages[page].style.display = "block";
-    localStorage.setItem("currentPage", page);
+    storage.setItem("currentPage", page);
 
     let title = "Spielerstatistik";
     if (page === "selection") title = "Spielerauswahl";
@@ -1883,6 +5670,9 @@ document.addEventListener("DOMContentLoaded", () => {
     else if (page === "goalValue") title = "Goal Value";
     else if (page === "season") title = "Season";
     else if (page === "seasonMap") title = "Season Map";
+    else if (page === "roster") title = "Roster";
+    else if (page === "games") title = "Games";
+    else if (page === "events") title = "Play-by-Play";
     document.title = title;
 
     setTimeout(updateTimerDisplay, 20);
@@ -1890,6 +5680,9 @@ document.addEventListener("DOMContentLoaded", () => {
       if (page === "season") renderSeasonTable();
       if (page === "goalValue") renderGoalValuePage();
       if (page === "seasonMap") renderSeasonMapPage();
+      if (page === "roster") renderRosterPage();
+      if (page === "games") renderGamesPage();
+      if (page === "events") renderEventsPage();
     }, 60);
   }
   window.showPage = showPageFull;
@@ -1906,7 +5699,7 @@ document.addEventListener("DOMContentLoaded", () => {
   // ----- GOAL VALUE Helpers -----
   function getGoalValueOpponents() {
     try {
-      const raw = localStorage.getItem("goalValueOpponents");
+      const raw = storage.getItem("goalValueOpponents");
       if (raw) return JSON.parse(raw);
     } catch (e) {}
     // default names in German: "Gegner 1", ...
@@ -1914,24 +5707,24 @@ document.addEventListener("DOMContentLoaded", () => {
     for (let i=1;i<=19;i++) defaults.push(`Gegner ${i}`);
     return defaults;
   }
-  function setGoalValueOpponents(arr) { localStorage.setItem("goalValueOpponents", JSON.stringify(arr)); }
+  function setGoalValueOpponents(arr) { storage.setItem("goalValueOpponents", JSON.stringify(arr)); }
   function getGoalValueData() {
     try {
-      const raw = localStorage.getItem("goalValueData");
+      const raw = storage.getItem("goalValueData");
       if (raw) return JSON.parse(raw);
     } catch (e) {}
     return {};
   }
-  function setGoalValueData(obj) { localStorage.setItem("goalValueData", JSON.stringify(obj)); }
+  function setGoalValueData(obj) { storage.setItem("goalValueData", JSON.stringify(obj)); }
   function getGoalValueBottom() {
     try {
-      const raw = localStorage.getItem("goalValueBottom");
+      const raw = storage.getItem("goalValueBottom");
       if (raw) return JSON.parse(raw);
     } catch (e) {}
     const opps = getGoalValueOpponents();
     return opps.map(()=>0);
   }
-  function setGoalValueBottom(arr) { localStorage.setItem("goalValueBottom", JSON.stringify(arr)); }
+  function setGoalValueBottom(arr) { storage.setItem("goalValueBottom", JSON.stringify(arr)); }
 
   function ensureGoalValueDataForSeason() {
     let opponents = getGoalValueOpponents();
@@ -2107,41 +5900,8 @@ document.addEventListener("DOMContentLoaded", () => {
           td.style.fontWeight = "400";
         }
 
-        let clickTimeout = null;
-        td.addEventListener("click", () => {
-          if (clickTimeout) clearTimeout(clickTimeout);
-          clickTimeout = setTimeout(() => {
-            const all = getGoalValueData();
-            if (!all[name]) all[name] = opponents.map(()=>0);
-            all[name][idx] = Math.max(0, (Number(all[name][idx]||0) + 1));
-            setGoalValueData(all);
-            td.textContent = String(all[name][idx]);
-            // style based on new value
-            const nv = Number(all[name][idx] || 0);
-            if (nv > 0) { td.style.color = posColorGlobal; td.style.fontWeight = "700"; }
-            else if (nv < 0) { td.style.color = negColorGlobal; td.style.fontWeight = "400"; }
-            else { td.style.color = zeroColorGlobal; td.style.fontWeight = "400"; }
-
-            const valCell = valueCellMap[name];
-            if (valCell) {
-              const comp = computeValueForPlayer(name);
-              valCell.textContent = formatValueNumber(comp);
-              if (comp > 0) { valCell.style.color = posColorGlobal; valCell.style.fontWeight = "700"; }
-              else if (comp < 0) { valCell.style.color = negColorGlobal; valCell.style.fontWeight = "400"; }
-              else { valCell.style.color = zeroColorGlobal; valCell.style.fontWeight = "400"; }
-            }
-            clickTimeout = null;
-          }, 200);
-        });
-        td.addEventListener("dblclick", (e) => {
-          e.preventDefault();
-          if (clickTimeout) { clearTimeout(clickTimeout); clickTimeout = null; }
-          const all = getGoalValueData();
-          if (!all[name]) all[name] = opponents.map(()=>0);
-          all[name][idx] = Math.max(0, (Number(all[name][idx]||0) - 1));
-          setGoalValueData(all);
-          td.textContent = String(all[name][idx]);
-          const nv = Number(all[name][idx] || 0);
+        const paintCell = (nv) => {
+          td.textContent = String(nv);
           if (nv > 0) { td.style.color = posColorGlobal; td.style.fontWeight = "700"; }
           else if (nv < 0) { td.style.color = negColorGlobal; td.style.fontWeight = "400"; }
           else { td.style.color = zeroColorGlobal; td.style.fontWeight = "400"; }
@@ -2154,6 +5914,36 @@ document.addEventListener("DOMContentLoaded", () => {
             else if (comp < 0) { valCell.style.color = negColorGlobal; valCell.style.fontWeight = "400"; }
             else { valCell.style.color = zeroColorGlobal; valCell.style.fontWeight = "400"; }
           }
+        };
+        const changeCell = (delta) => {
+          const all = getGoalValueData();
+          if (!all[name]) all[name] = opponents.map(()=>0);
+          const before = Number(all[name][idx] || 0);
+          const after = Math.max(0, before + delta);
+          if (after === before) return;
+          all[name][idx] = after;
+          setGoalValueData(all);
+          paintCell(after);
+          pushHistory({
+            scope: "goalValue",
+            label: `Goal Value ${name}`,
+            undo: () => setGoalValueCell(name, idx, before),
+            redo: () => setGoalValueCell(name, idx, after)
+          });
+        };
+
+        let clickTimeout = null;
+        td.addEventListener("click", () => {
+          if (clickTimeout) clearTimeout(clickTimeout);
+          clickTimeout = setTimeout(() => {
+            changeCell(+1);
+            clickTimeout = null;
+          }, 200);
+        });
+        td.addEventListener("dblclick", (e) => {
+          e.preventDefault();
+          if (clickTimeout) { clearTimeout(clickTimeout); clickTimeout = null; }
+          changeCell(-1);
         });
 
         // touch: double-tap detection similar to time buttons
@@ -2165,48 +5955,14 @@ document.addEventListener("DOMContentLoaded", () => {
             e.preventDefault();
             if (clickTimeout) { clearTimeout(clickTimeout); clickTimeout = null; }
             // double-tap -> decrement
-            const all = getGoalValueData();
-            if (!all[name]) all[name] = opponents.map(()=>0);
-            all[name][idx] = Math.max(0, (Number(all[name][idx]||0) - 1));
-            setGoalValueData(all);
-            td.textContent = String(all[name][idx]);
-            const nv = Number(all[name][idx] || 0);
-            if (nv > 0) { td.style.color = posColorGlobal; td.style.fontWeight = "700"; }
-            else if (nv < 0) { td.style.color = negColorGlobal; td.style.fontWeight = "400"; }
-            else { td.style.color = zeroColorGlobal; td.style.fontWeight = "400"; }
-
-            const valCell = valueCellMap[name];
-            if (valCell) {
-              const comp = computeValueForPlayer(name);
-              valCell.textContent = formatValueNumber(comp);
-              if (comp > 0) { valCell.style.color = posColorGlobal; valCell.style.fontWeight = "700"; }
-              else if (comp < 0) { valCell.style.color = negColorGlobal; valCell.style.fontWeight = "400"; }
-              else { valCell.style.color = zeroColorGlobal; valCell.style.fontWeight = "400"; }
-            }
+            changeCell(-1);
             lastTap = 0;
           } else {
             lastTap = now;
             setTimeout(() => {
               if (lastTap !== 0) {
                 // single tap -> increment
-                const all = getGoalValueData();
-                if (!all[name]) all[name] = opponents.map(()=>0);
-                all[name][idx] = Math.max(0, (Number(all[name][idx]||0) + 1));
-                setGoalValueData(all);
-                td.textContent = String(all[name][idx]);
-                const nv = Number(all[name][idx] || 0);
-                if (nv > 0) { td.style.color = posColorGlobal; td.style.fontWeight = "700"; }
-                else if (nv < 0) { td.style.color = negColorGlobal; td.style.fontWeight = "400"; }
-                else { td.style.color = zeroColorGlobal; td.style.fontWeight = "400"; }
-
-                const valCell = valueCellMap[name];
-                if (valCell) { 
-                  const comp = computeValueForPlayer(name);
-                  valCell.textContent = formatValueNumber(comp);
-                  if (comp > 0) { valCell.style.color = posColorGlobal; valCell.style.fontWeight = "700"; }
-                  else if (comp < 0) { valCell.style.color = negColorGlobal; valCell.style.fontWeight = "400"; }
-                  else { valCell.style.color = zeroColorGlobal; valCell.style.fontWeight = "400"; }
-                }
+                changeCell(+1);
                 lastTap = 0;
               }
             }, 300);
@@ -2293,6 +6049,15 @@ document.addEventListener("DOMContentLoaded", () => {
     goalValueContainer.appendChild(table);
   }
 
+  // undo/redo of a Goal Value cell; re-renders when the page is visible
+  function setGoalValueCell(name, idx, val) {
+    const all = getGoalValueData();
+    if (!all[name]) all[name] = getGoalValueOpponents().map(()=>0);
+    all[name][idx] = val;
+    setGoalValueData(all);
+    if (pages.goalValue && pages.goalValue.style.display !== "none") renderGoalValuePage();
+  }
+
   function resetGoalValuePage() {
     if (!confirm("⚠️ Goal Value zurücksetzen? Alle Spielerwerte auf 0 und Skalen auf 0 setzen.")) return;
     const opponents = getGoalValueOpponents();
@@ -2301,16 +6066,20 @@ document.addEventListener("DOMContentLoaded", () => {
     playerNames.forEach(n => newData[n] = opponents.map(()=>0));
     setGoalValueData(newData);
     setGoalValueBottom(opponents.map(()=>0));
+    clearHistory("goalValue");
     renderGoalValuePage();
     alert("Goal Value zurückgezet.");
   }
 
   // --- Final init and restore state on load ---
-  seasonData = JSON.parse(localStorage.getItem("seasonData")) || seasonData || {};
+  seasonData = JSON.parse(storage.getItem("seasonData")) || seasonData || {};
+  recomputeSeasonData();
+  restoreGoalMapMarkers();
+  setupTimeTrackingBoxes();
 
   renderPlayerSelection();
 
-  const lastPage = localStorage.getItem("currentPage") || (selectedPlayers.length ? "stats" : "selection");
+  const lastPage = storage.getItem("currentPage") || (selectedPlayers.length ? "stats" : "selection");
   if (lastPage === "stats") {
     showPageRef("stats");
     renderStatsTable();
@@ -2324,26 +6093,57 @@ document.addEventListener("DOMContentLoaded", () => {
   } else if (lastPage === "goalValue") {
     showPageRef("goalValue");
     renderGoalValuePage();
+  } else if (lastPage === "roster") {
+    showPageRef("roster");
+    renderRosterPage();
+  } else if (lastPage === "games") {
+    showPageRef("games");
+    renderGamesPage();
+  } else if (lastPage === "events") {
+    showPageRef("events");
+    renderEventsPage();
   } else {
     showPageRef("selection");
   }
 
-  // initial timer display
+  // initial timer display; clocks that were running before a reload continue
+  if (clockState.running) {
+    syncGameClock();
+    if (clockState.running) startTimer();
+  }
+  syncIceTimers();
+  ensureIceTimerLoop();
   updateTimerDisplay();
+  renderGoalMapXgSummary();
+  renderGoalAreaStats();
 
-  // Save to localStorage on unload
-  window.addEventListener("beforeunload", () => {
+  // writes the in-memory state that is not saved on every change
+  function persistAllState() {
     try {
-      localStorage.setItem("statsData", JSON.stringify(statsData));
-      localStorage.setItem("selectedPlayers", JSON.stringify(selectedPlayers));
-      localStorage.setItem("playerTimes", JSON.stringify(playerTimes));
-      localStorage.setItem("timerSeconds", String(timerSeconds));
-      localStorage.setItem("seasonData", JSON.stringify(seasonData));
-      localStorage.setItem("goalValueOpponents", JSON.stringify(getGoalValueOpponents()));
-      localStorage.setItem("goalValueData", JSON.stringify(getGoalValueData()));
-      localStorage.setItem("goalValueBottom", JSON.stringify(getGoalValueBottom()));
+      storage.setItem("statsData", JSON.stringify(statsData));
+      storage.setItem("selectedPlayers", JSON.stringify(selectedPlayers));
+      storage.setItem("playerTimes", JSON.stringify(playerTimes));
+      storage.setItem("gameEvents", JSON.stringify(gameEvents));
+      storage.setItem("timerSeconds", String(timerSeconds));
+      storage.setItem("clockState", JSON.stringify(clockState));
+      storage.setItem("iceTimers", JSON.stringify(iceTimers));
+      storage.setItem("playerShifts", JSON.stringify(playerShifts));
+      storage.setItem("strengthState", JSON.stringify(strengthState));
+      storage.setItem("penalties", JSON.stringify(penalties));
+      storage.setItem("opponentStats", JSON.stringify(opponentStats));
+      storage.setItem("seasonData", JSON.stringify(seasonData));
+      storage.setItem("seasonGames", JSON.stringify(seasonGames));
+      storage.setItem("seasonBase", JSON.stringify(seasonBase));
+      storage.setItem("goalValueOpponents", JSON.stringify(getGoalValueOpponents()));
+      storage.setItem("goalValueData", JSON.stringify(getGoalValueData()));
+      storage.setItem("goalValueBottom", JSON.stringify(getGoalValueBottom()));
+      saveGoalMapMarkers();
     } catch (e) {
       // ignore
     }
+  }
+  // Save to localStorage on unload
+  window.addEventListener("beforeunload", () => {
+    if (!skipPersistOnUnload) persistAllState();
   });
 });
@@ -31,11 +31,23 @@
   function hideTimeBox() { const tb = getTimeBoxElement(); if (tb) tb.style.display = 'none'; }
 
   // Read localStorage export fallback (supports array and object shapes)
-  function readFromLocalStorageFallback() {
+  // Season data is aggregated over all exported games by app.js (window.getSeasonMapTimeData)
+  // An optional filter (see app.js filterSeasonMapGames) restricts the games used.
+  function readFromLocalStorageFallback(filter) {
     try {
-      const raw = localStorage.getItem('seasonMapTimeData') || localStorage.getItem('timeData') || null;
-      if (!raw) return null;
-      const obj = JSON.parse(raw);
+      let obj = null;
+      if (typeof window.getSeasonMapTimeData === 'function') {
+        obj = filter ? window.getSeasonMapTimeData(filter) : window.getSeasonMapTimeData();
+        // with a filter an empty selection must stay empty (no fallback to other data)
+        if (obj && !Object.keys(obj).length && !filter) obj = null;
+      }
+      if (!obj) {
+        // app.js stores per team/season workspace (window.appStorage)
+        const store = window.appStorage || localStorage;
+        const raw = store.getItem('seasonMapTimeData') || store.getItem('timeData') || null;
+        if (!raw) return null;
+        obj = JSON.parse(raw);
+      }
       if (!obj || typeof obj !== 'object') return null;
       const keys = Object.keys(obj).sort();
       const periods = [];
@@ -111,9 +123,10 @@
   }
 
   // Prefer localStorage if it contains non-zero values (export case), otherwise DOM
-  function readPeriods() {
-    const ls = readFromLocalStorageFallback();
+  function readPeriods(filter) {
+    const ls = readFromLocalStorageFallback(filter);
     if (ls && hasNonZero(ls)) { console.debug('[momentum] using localStorage periods'); return ls; }
+    if (ls && filter) { console.debug('[momentum] filtered periods are zero; using them'); return ls; }
     const dom = readPeriodsFromDOM();
     if (dom && hasNonZero(dom)) { console.debug('[momentum] using DOM periods'); return dom; }
     if (dom) { console.debug('[momentum] DOM present but zero; using DOM'); return dom; }
@@ -167,7 +180,7 @@
     return MIDLINE_Y - t * topSpace;
   }
 
-  function renderSeasonMomentumGraphic() {
+  function renderSeasonMomentumGraphic(filter) {
     const root = getSeasonMapRoot();
     if (!root) return;
     hideTimeBox();
@@ -184,7 +197,7 @@
     }
     container.innerHTML = '';
 
-    const periods = readPeriods();
+    const periods = readPeriods(filter);
     const values12 = build12Values(periods);
     console.debug('[momentum] periods used for rendering:', periods);
     console.debug('[momentum] computed values12:', values12);
@@ -319,14 +332,10 @@
     console.info('[momentum] rendered chart; mapping (UI bucket -> minute):', BUCKET_MINUTES, 'values12:', values12, 'maxScale:', maxScale);
   }
 
-  // On reset: clear the seasonMapTimeData/seasonMapMarkers keys (so chart really clears),
-  // then re-render. Also listen to storage events.
+  // On reset: re-render (the season map reset in app.js clears the per-game data itself,
+  // only after its confirm). Also listen to storage events.
   function setupAutoUpdate() {
     const clearLSOnReset = () => {
-      try {
-        localStorage.removeItem('seasonMapTimeData');
-        localStorage.removeItem('seasonMapMarkers');
-      } catch (e) {}
       setTimeout(() => renderSeasonMomentumGraphic(), 140);
     };
 
@@ -341,7 +350,7 @@
 
     window.addEventListener('storage', (e) => {
       if (!e) return;
-      if (e.key && /seasonMapTimeData|timeData|seasonMapMarkers/i.test(e.key)) {
+      if (e.key && /seasonMapGames|seasonMapTimeData|timeData|seasonMapMarkers/i.test(e.key)) {
         setTimeout(() => renderSeasonMomentumGraphic(), 100);
       }
     });